@@ -0,0 +1,296 @@
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { toJSON } from "./exporters.js";
+import { resolveTargetDate, parseDatePhrase, weekStart, addDays, getDateInfo, formatTimestamp } from "./calendar.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ARCHIVE_DIR = path.join(__dirname, "output", "archive");
+const INDEX_FILE = path.join(ARCHIVE_DIR, "index.json");
+
+/**
+ * @typedef {object} ArchiveEntry
+ * @property {"day"|"week"} kind
+ * @property {string} date - YYYY-MM-DD (the Monday for weeks)
+ * @property {string} dir - Directory under output/archive
+ * @property {string} generatedAt - ISO time of the latest render
+ * @property {number} shows
+ * @property {string[]} images - PNG file names from the latest render
+ * @property {string|null} publishedAt - ISO time it was last posted to SLACK_CHANNEL
+ * @property {string[]} published - PNG file names as posted, kept in dir/published
+ */
+
+/** @returns {Record<string, ArchiveEntry>} Keyed by date ("week-" prefix for weeks) */
+export function loadIndex() {
+  try {
+    return JSON.parse(fs.readFileSync(INDEX_FILE, "utf8")).entries || {};
+  } catch {
+    return {};
+  }
+}
+
+function saveIndex(entries) {
+  const sorted = Object.fromEntries(Object.entries(entries).sort(([a], [b]) => a.localeCompare(b)));
+  fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+  fs.writeFileSync(INDEX_FILE, JSON.stringify({ entries: sorted }, null, 2));
+}
+
+// Copy images (files, or PNG buffers as `data`) into dir, replacing the PNGs already there, and return their file names
+function storeImages(dir, images) {
+  fs.mkdirSync(dir, { recursive: true });
+  for (const f of fs.readdirSync(dir)) {
+    if (f.endsWith(".png")) fs.rmSync(path.join(dir, f));
+  }
+  return images.map(({ file, data, filename }) => {
+    if (data) fs.writeFileSync(path.join(dir, filename), data);
+    else fs.copyFileSync(file, path.join(dir, filename));
+    return filename;
+  });
+}
+
+function updateEntry(key, entry) {
+  const entries = loadIndex();
+  entries[key] = { publishedAt: null, published: [], ...entries[key], ...entry };
+  saveIndex(entries);
+  return entries[key];
+}
+
+/**
+ * Keep a day's schedule JSON and rendered PNGs under output/archive/YYYY-MM-DD.
+ * A later render of the same date replaces the earlier one; what was published is kept separately.
+ * @param {object} calData - fetchShows() result
+ * @param {Array<{ file?: string, data?: Buffer, filename: string }>} images - PNG files or buffers
+ * @returns {string} Archive directory
+ */
+export function archiveSchedule(calData, images) {
+  const dir = path.join(ARCHIVE_DIR, calData.date);
+  const names = storeImages(dir, images);
+  fs.writeFileSync(path.join(dir, "schedule.json"), toJSON(calData));
+  updateEntry(calData.date, {
+    kind: "day",
+    date: calData.date,
+    dir: calData.date,
+    generatedAt: new Date().toISOString(),
+    shows: calData.shows.length,
+    images: names,
+  });
+  return dir;
+}
+
+/**
+ * Keep a week graphic and its days' JSON under output/archive/week-YYYY-MM-DD (the Monday).
+ * @param {object[]} days - fetchShowsRange() result
+ * @param {{ file?: string, data?: Buffer, filename: string }} image - PNG file or buffer
+ * @returns {string} Archive directory
+ */
+export function archiveWeek(days, image) {
+  const key = `week-${days[0].date}`;
+  const dir = path.join(ARCHIVE_DIR, key);
+  const names = storeImages(dir, [image]);
+  fs.writeFileSync(path.join(dir, "schedule.json"), `[\n${days.map((d) => toJSON(d).trim()).join(",\n")}\n]\n`);
+  updateEntry(key, {
+    kind: "week",
+    date: days[0].date,
+    dir: key,
+    generatedAt: new Date().toISOString(),
+    shows: days.reduce((n, d) => n + d.shows.length, 0),
+    images: names,
+  });
+  return dir;
+}
+
+/**
+ * Keep a copy of exactly what was posted, so it can be fetched later.
+ * @param {string} key - Archive entry: the directory archiveSchedule() or archiveWeek() returned, e.g. "2026-02-14" or "week-2026-02-09"
+ * @param {Array<{ file: string, filename: string }>} uploads
+ */
+export function archivePublished(key, uploads) {
+  const entry = loadIndex()[key];
+  if (!entry) return;
+  const names = storeImages(path.join(ARCHIVE_DIR, entry.dir, "published"), uploads);
+  updateEntry(key, { publishedAt: new Date().toISOString(), published: names });
+}
+
+/**
+ * Archived graphic for a date: the published images if it was posted, else the latest render.
+ * @param {string} date - YYYY-MM-DD
+ * @returns {{ entry: ArchiveEntry, published: boolean, files: Array<{ file: string, filename: string }> }|null}
+ */
+export function archivedImages(date) {
+  const entry = loadIndex()[date];
+  if (!entry) return null;
+  const published = entry.published.length > 0;
+  const dir = path.join(ARCHIVE_DIR, entry.dir, published ? "published" : "");
+  const files = (published ? entry.published : entry.images)
+    .map((filename) => ({ file: path.join(dir, filename), filename }))
+    .filter(({ file }) => fs.existsSync(file));
+  return files.length ? { entry, published, files } : null;
+}
+
+// Every archived day schedule (parsed schedule.json), oldest first
+function loadDays() {
+  return Object.values(loadIndex())
+    .filter((e) => e.kind === "day")
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .flatMap((e) => {
+      try {
+        return [JSON.parse(fs.readFileSync(path.join(ARCHIVE_DIR, e.dir, "schedule.json"), "utf8"))];
+      } catch {
+        return [];
+      }
+    });
+}
+
+// "Night Moves with DJ Foo & Bar (Live)" → { show: "Night Moves", hosts: ["DJ Foo", "Bar"] }
+// Names without " with ", " w/ ", " by " or " invites " are a show with no separate host.
+export function showParts(name) {
+  const plain = name.replace(/\s*\([^)]*\)\s*/g, " ").trim();
+  const m = /^(.+?)\s+(?:with|w\/|by|invites:?)\s+(.+)$/i.exec(plain);
+  if (!m) return { show: plain, hosts: [] };
+  const hosts = m[2].split(/\s*(?:,|&|\+|\band\b|\bb2b\b)\s*/i).map((h) => h.trim()).filter(Boolean);
+  return { show: m[1].trim(), hosts };
+}
+
+function topCounts(names, limit) {
+  const counts = new Map();
+  for (const name of names) counts.set(name, (counts.get(name) || 0) + 1);
+  return [...counts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([name, count]) => ({ name, count }));
+}
+
+/**
+ * Show statistics from the archive.
+ * @param {{ weeks?: number, top?: number, today?: string }} [opts]
+ *   weeks: how many weeks (ending with today's) to count; top: length of the most-frequent lists;
+ *   today: YYYY-MM-DD to report as of (default today)
+ */
+export function computeStats({ weeks = 8, top = 10, today = resolveTargetDate("") } = {}) {
+  // Whole weeks, so the current one includes days already generated ahead of time
+  const firstWeek = addDays(weekStart(today), -7 * (weeks - 1));
+  const lastDay = addDays(weekStart(today), 6);
+  const all = loadDays();
+  const days = all.filter((d) => d.date >= firstWeek && d.date <= lastDay);
+  const shows = days.flatMap((d) => d.shows);
+
+  const hoursPerWeek = [];
+  for (let i = 0; i < weeks; i++) {
+    const week = addDays(firstWeek, 7 * i);
+    const inWeek = days.filter((d) => weekStart(d.date) === week);
+    const minutes = inWeek.flatMap((d) => d.shows).reduce((sum, s) => sum + (s.duration || 0), 0);
+    hoursPerWeek.push({ week, days: inWeek.length, hours: Math.round(minutes / 6) / 10 });
+  }
+
+  // First archived appearance of each show title, over the whole archive
+  const firstSeen = new Map();
+  for (const day of all) {
+    for (const s of day.shows) {
+      const { show } = showParts(s.name);
+      if (!firstSeen.has(show)) firstSeen.set(show, day.date);
+    }
+  }
+  const month = today.slice(0, 7);
+  const newShows = [...firstSeen]
+    .filter(([, date]) => date.startsWith(month) && date <= today)
+    .map(([name, first]) => ({ name, first }));
+
+  return {
+    from: firstWeek,
+    to: lastDay,
+    archiveStart: all[0]?.date || null,
+    days: days.length,
+    topShows: topCounts(shows.map((s) => showParts(s.name).show), top),
+    topHosts: topCounts(shows.flatMap((s) => showParts(s.name).hosts), top),
+    hoursPerWeek,
+    month,
+    newShows,
+  };
+}
+
+export function formatStats(stats, { slack = false } = {}) {
+  const heading = (text) => (slack ? `*${text}*` : text);
+  const bullet = slack ? "•" : "  -";
+  const short = (date) => {
+    const { month, dayNum } = getDateInfo(date);
+    return `${month.slice(0, 3)} ${dayNum}`;
+  };
+
+  if (!stats.archiveStart) return "The archive is empty — stats start once schedules have been generated.";
+  const lines = [heading(`Schedule stats, ${short(stats.from)} – ${short(stats.to)} (${stats.days} archived days)`), ""];
+
+  lines.push(heading("Most frequent shows"));
+  for (const { name, count } of stats.topShows) lines.push(`${bullet} ${name} — ${count}×`);
+  if (stats.topShows.length === 0) lines.push(`${bullet} none`);
+  lines.push("", heading("Most frequent hosts"));
+  for (const { name, count } of stats.topHosts) lines.push(`${bullet} ${name} — ${count}×`);
+  if (stats.topHosts.length === 0) lines.push(`${bullet} none (no "with" / "by" names)`);
+
+  lines.push("", heading("Hours programmed per week"));
+  for (const { week, days, hours } of stats.hoursPerWeek) {
+    lines.push(`${bullet} Week of ${short(week)}: ${days ? `${hours} h over ${days} day${days === 1 ? "" : "s"}` : "not archived"}`);
+  }
+
+  const { month } = getDateInfo(`${stats.month}-01`);
+  lines.push("", heading(`New shows in ${month}`));
+  if (stats.archiveStart >= `${stats.month}-01`) {
+    lines.push(`${bullet} The archive only starts on ${short(stats.archiveStart)}, so every show would look new.`);
+  } else {
+    for (const { name, first } of stats.newShows) lines.push(`${bullet} ${name} (first on ${short(first)})`);
+    if (stats.newShows.length === 0) lines.push(`${bullet} none`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Most recent archived entries, newest first.
+ * @param {number} [limit]
+ * @returns {ArchiveEntry[]}
+ */
+export function recentEntries(limit = 10) {
+  return Object.values(loadIndex())
+    .sort((a, b) => b.date.localeCompare(a.date) || a.kind.localeCompare(b.kind))
+    .slice(0, limit);
+}
+
+export function describeEntry(entry) {
+  const { day, month, dayNum, year } = getDateInfo(entry.date);
+  const what = entry.kind === "week" ? `Week of ${month} ${dayNum}, ${year}` : `${day} ${month} ${dayNum}, ${year}`;
+  const status = entry.publishedAt ? `published ${formatTimestamp(entry.publishedAt)}` : `generated ${formatTimestamp(entry.generatedAt)}`;
+  return `${what} — ${entry.shows} show${entry.shows === 1 ? "" : "s"}, ${status}`;
+}
+
+// CLI: node archive.js [list] [--limit=20]
+//      node archive.js stats [date] [--weeks=8] [--top=10]   (date: report as of then, e.g. "last friday")
+async function main() {
+  const { values: opts, positionals } = parseArgs({
+    options: {
+      limit: { type: "string", default: "20" },
+      weeks: { type: "string", default: "8" },
+      top: { type: "string", default: "10" },
+    },
+    allowPositionals: true,
+  });
+  const [command = "list", ...rest] = positionals;
+  if (command === "stats") {
+    const today = rest.length ? parseDatePhrase(rest.join(" ")) : undefined;
+    if (today === null) throw new Error(`Invalid date: ${rest.join(" ")}`);
+    console.log(formatStats(computeStats({ weeks: Number(opts.weeks) || 8, top: Number(opts.top) || 10, today })));
+  } else if (command === "list") {
+    const entries = recentEntries(Number(opts.limit) || 20);
+    if (entries.length === 0) console.log("The archive is empty.");
+    for (const entry of entries) console.log(describeEntry(entry));
+  } else {
+    throw new Error(`Unknown command "${command}". Use list or stats.`);
+  }
+}
+
+if (process.argv[1] === __filename) {
+  main().catch((e) => {
+    console.error(e.message);
+    process.exitCode = 2;
+  });
+}
@@ -0,0 +1,156 @@
+import "dotenv/config";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { fetchShowsRange, resolveWeekStart, parseDatePhrase, addDays, formatTimestamp } from "./calendar.js";
+
+const __filename = fileURLToPath(import.meta.url);
+
+// Gaps between shows at least this long are reported as dead air
+const GAP_MINUTES = Number(process.env.AUDIT_GAP_MINUTES) || 5;
+
+const minutesBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / 60000);
+const clock = (date) => formatTimestamp(date, { hour: "numeric", minute: "2-digit" });
+
+/**
+ * Find overlapping shows, dead air between shows and names that appear more than once in a day.
+ * Shows without an end time (DTEND) can't be checked for the gap after them.
+ * @param {object[]} shows - one day's shows, sorted by start
+ * @returns {{ overlaps: Array<{ a: object, b: object, minutes: number }>, gaps: Array<{ after: object, before: object, minutes: number }>, duplicates: Array<{ name: string, shows: object[] }> }}
+ */
+export function findProblems(shows) {
+  const overlaps = [];
+  const gaps = [];
+  let latest = null; // show that ends last so far
+  for (const show of shows) {
+    if (latest) {
+      if (new Date(show.start) < new Date(latest.end)) {
+        const end = Math.min(new Date(latest.end), new Date(show.end));
+        overlaps.push({ a: latest, b: show, minutes: minutesBetween(show.start, end) });
+      } else if (latest.duration > 0 && minutesBetween(latest.end, show.start) >= GAP_MINUTES) {
+        gaps.push({ after: latest, before: show, minutes: minutesBetween(latest.end, show.start) });
+      }
+    }
+    if (!latest || new Date(show.end) > new Date(latest.end)) latest = show;
+  }
+
+  const byName = new Map();
+  for (const show of shows) {
+    const key = show.name.toLowerCase();
+    byName.set(key, [...(byName.get(key) || []), show]);
+  }
+  const duplicates = [...byName.values()]
+    .filter((group) => new Set(group.map((s) => new Date(s.start).getTime())).size > 1)
+    .map((group) => ({ name: group[0].name, shows: group }));
+
+  return { overlaps, gaps, duplicates };
+}
+
+/**
+ * Audit a day or a week of the calendar.
+ * @param {{ date?: string, week?: string }} request - date as YYYY-MM-DD, or week as a date / "next" / ""
+ * @returns {Promise<{ days: object[], failed: object[], problems: number }>}
+ */
+export async function runAudit({ date, week }) {
+  const start = week !== undefined ? resolveWeekStart(week) : date;
+  const end = week !== undefined ? addDays(start, 6) : date;
+  const days = await fetchShowsRange(start, end, { audit: true });
+
+  // A broken event fails the same way on every day, so failures are reported once
+  const failed = new Map();
+  let problems = 0;
+  for (const day of days) {
+    // Checked as the calendar has them: a show hidden by a rule still airs (or clashes) in the calendar
+    day.problems = findProblems(day.calendarShows);
+    const { overlaps, gaps, duplicates } = day.problems;
+    problems += overlaps.length + gaps.length + duplicates.length;
+    for (const f of day.log.failed) failed.set(`${f.uid}|${f.reason}`, f);
+  }
+  problems += failed.size;
+  return { days, failed: [...failed.values()], problems };
+}
+
+/**
+ * Audit report as plain text (CLI) or Slack mrkdwn.
+ * @param {{ days: object[], failed: object[], problems: number }} audit - runAudit() result
+ * @param {{ slack?: boolean }} [opts]
+ * @returns {string}
+ */
+export function formatAudit({ days, failed, problems }, { slack = false } = {}) {
+  const mark = slack
+    ? { problem: ":x:", info: ":information_source:", ok: ":white_check_mark:" }
+    : { problem: "  ✖", info: "  ·", ok: "  ✔" };
+  const heading = (text) => (slack ? `*${text}*` : text);
+
+  const lines = [];
+  for (const day of days) {
+    const { overlaps, gaps, duplicates } = day.problems;
+    const { excluded, overridden, skipped, hidden } = day.log;
+    lines.push(heading(`${day.day} ${day.month} ${day.dayNum} — ${day.shows.length} show${day.shows.length === 1 ? "" : "s"}`));
+    for (const { a, b, minutes } of overlaps) {
+      lines.push(`${mark.problem} Overlap: ${a.name} (${a.time}) runs ${minutes} min into ${b.name} (${b.time})`);
+    }
+    for (const { after, before, minutes } of gaps) {
+      lines.push(`${mark.problem} Dead air: ${minutes} min between ${after.name} (ends ${clock(after.end)}) and ${before.name} (${before.time})`);
+    }
+    for (const { name, shows } of duplicates) {
+      lines.push(`${mark.problem} Duplicate: "${name}" at ${shows.map((s) => s.time).join(", ")}`);
+    }
+    if (overlaps.length + gaps.length + duplicates.length === 0) lines.push(`${mark.ok} No overlaps, gaps or duplicates`);
+    for (const { name, start } of excluded) {
+      lines.push(`${mark.info} Excluded (EXDATE): ${name} at ${formatTimestamp(start)}`);
+    }
+    for (const { name, from, to, renamed } of overridden) {
+      const moved = new Date(from).getTime() !== new Date(to).getTime() ? ` moved ${formatTimestamp(from)} → ${formatTimestamp(to)}` : ` at ${formatTimestamp(to)}`;
+      lines.push(`${mark.info} Overridden: ${name}${moved}${renamed ? `, renamed "${renamed}"` : ""}`);
+    }
+    for (const { name, start, reason } of skipped) {
+      lines.push(`${mark.info} Skipped: "${name}" at ${formatTimestamp(start)} (${reason})`);
+    }
+    for (const { name, start, match } of hidden) {
+      lines.push(`${mark.info} Hidden by rule: "${name}" at ${formatTimestamp(start)} (hide ${match})`);
+    }
+    lines.push("");
+  }
+
+  if (failed.length > 0) {
+    lines.push(heading("Events that failed to parse"));
+    for (const { name, uid, reason } of failed) lines.push(`${mark.problem} "${name}"${uid ? ` (${uid})` : ""}: ${reason}`);
+    lines.push("");
+  }
+  lines.push(problems === 0 ? "No problems found." : `${problems} problem${problems === 1 ? "" : "s"} found.`);
+  return lines.join("\n");
+}
+
+// CLI: node audit.js [date] [--week]
+// date is anything the bot understands ("tomorrow", "next friday", "Feb 14", YYYY-MM-DD); default today.
+// With --week, audits Monday–Sunday of that date's week ("next" for next week).
+// Exits 1 when problems are found so it can gate a scheduled run.
+async function main() {
+  const { values: opts, positionals } = parseArgs({
+    options: { week: { type: "boolean" } },
+    allowPositionals: true,
+  });
+  const arg = positionals.join(" ");
+
+  let request;
+  if (opts.week) {
+    const date = arg && arg !== "next" ? parseDatePhrase(arg) : null;
+    if (arg && arg !== "next" && !date) throw new Error(`Invalid date: ${arg}`);
+    request = { week: date || arg };
+  } else {
+    const date = parseDatePhrase(arg || "today");
+    if (!date) throw new Error(`Invalid date: ${arg}`);
+    request = { date };
+  }
+
+  const audit = await runAudit(request);
+  console.log("\n" + formatAudit(audit));
+  if (audit.problems > 0) process.exitCode = 1;
+}
+
+if (process.argv[1] === __filename) {
+  main().catch((e) => {
+    console.error(e.message);
+    process.exitCode = 2;
+  });
+}
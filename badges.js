@@ -0,0 +1,88 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { matchText } from "./rules.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BADGES_FILE = process.env.BADGES_FILE || path.join(__dirname, "badges.json");
+
+/**
+ * @typedef {object} Badge
+ * @property {string} type - Stored on each show's `badges`, e.g. "restream"
+ * @property {string[]} [markers] - Emoji that mark it when they lead the event title, e.g. "🔃"
+ * @property {string[]} [keywords] - Title text that marks it: "/regex/flags", or plain text matched case-insensitively anywhere
+ * @property {"badge"|"ignore"|"drop"} [policy] - Draw the badge (default), keep the show unbadged, or leave the show out
+ * @property {boolean} [live] - false for entries that aren't on air live (restreams, replays): no pre-show reminder,
+ *   whatever the policy
+ * @property {string} [label] - Tag drawn after the show's time, e.g. "RESTREAM" (default: the type, upper-cased)
+ * @property {string} [icon] - Drawn instead of the label, e.g. "🎙"; needs an emoji font (see FONT_STACK)
+ * @property {string} [color] - CSS colour of the tag and the accent bar beside the show name
+ */
+
+// Without a badges.json: the markers the calendar team uses. Restreams are left out, as they always have been.
+const DEFAULT_BADGES = [
+  { type: "restream", markers: ["🔃", "🔁"], keywords: ["/restream/i"], policy: "drop", live: false, label: "RESTREAM", color: "#8a8a8a" },
+  { type: "guest", markers: ["🎙", "🎤"], keywords: ["/\\blive guest\\b/i"], label: "LIVE GUEST", color: "#ff5c5c" },
+  { type: "premiere", markers: ["✨", "🆕"], keywords: ["/\\bpremiere\\b/i"], label: "PREMIERE", color: "#ffd400" },
+  { type: "offsite", markers: ["📍"], keywords: ["/\\blive from\\b/i"], label: "OFF-SITE", color: "#4fc3f7" },
+];
+
+const LEADING_EMOJI = /^(?:[\p{Emoji_Presentation}\p{Extended_Pictographic}\u200d\ufe0f]\s*)+/u;
+const graphemes = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+
+// Compare emoji without variation selectors, so "🎙" and "🎙️" are the same marker
+const bare = (s) => s.replace(/[\ufe0e\ufe0f\s]/g, "");
+
+/** @returns {Badge[]} */
+export function loadBadges() {
+  try {
+    return JSON.parse(fs.readFileSync(BADGES_FILE, "utf8")).badges || [];
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`WARNING: Could not read ${path.basename(BADGES_FILE)}: ${e.message}`);
+    return DEFAULT_BADGES;
+  }
+}
+
+function hasKeyword(keyword, title) {
+  if (/^\/.+\/[a-z]*$/.test(keyword)) return matchText(keyword, title);
+  return title.toLowerCase().includes(keyword.toLowerCase());
+}
+
+/**
+ * Split an event title into the show name and its badges.
+ * Leading emoji are stripped from the name whether or not they're a known marker.
+ * @param {string} summary - Event title, e.g. "🔃Show Name"
+ * @param {Badge[]} [badges]
+ * @returns {{ name: string, badges: string[], dropped: string|null, live: boolean }} dropped is the type of a "drop" badge
+ *   that matched; live is false when any matching badge (drawn or not) says it isn't live
+ */
+export function parseSummary(summary, badges = loadBadges()) {
+  if (!summary) return { name: "", badges: [], dropped: null, live: true };
+  const lead = LEADING_EMOJI.exec(summary)?.[0] || "";
+  const marks = [...graphemes.segment(lead)].map((s) => bare(s.segment)).filter(Boolean);
+  const name = summary.slice(lead.length).trim();
+
+  const found = [];
+  let live = true;
+  for (const badge of badges) {
+    const marked = (badge.markers || []).some((m) => marks.includes(bare(m)));
+    if (!marked && !(badge.keywords || []).some((k) => hasKeyword(k, summary))) continue;
+    if (badge.live === false) live = false;
+    if (badge.policy === "drop") return { name, badges: [], dropped: badge.type, live };
+    if (badge.policy !== "ignore") found.push(badge.type);
+  }
+  return { name, badges: found, dropped: null, live };
+}
+
+/**
+ * Badge definitions for a show's badge types, for drawing; unknown types are skipped.
+ * @param {string[]} [types]
+ * @param {Badge[]} [badges]
+ * @returns {Array<{ type: string, text: string, color: string }>}
+ */
+export function badgeStyles(types = [], badges = loadBadges()) {
+  return types
+    .map((type) => badges.find((b) => b.type === type))
+    .filter(Boolean)
+    .map((b) => ({ type: b.type, text: b.icon || b.label || b.type.toUpperCase(), color: b.color || "white" }));
+}
@@ -1,10 +1,14 @@
 import "dotenv/config";
 import { App } from "@slack/bolt";
-import { execFile } from "child_process";
-import { fileURLToPath } from "url";
-import path from "path";
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+import { startWatcher } from "./watcher.js";
+import { loadLineup, onAir, formatNow, formatNext, startReminders } from "./onair.js";
+import { approvePending, cancelPending, supersedePending } from "./publish.js";
+import { loadRules, saveRules, parseRule, describeRule } from "./rules.js";
+import { fetchShows, parseDatePhrase } from "./calendar.js";
+import { run, renderSchedule, renderWeek, loadWeek, dayComment, weekComment } from "./generate.js";
+import { enqueue, cachedRender, renderKey, queueLength } from "./queue.js";
+import { runAudit, formatAudit } from "./audit.js";
+import { archiveSchedule, archiveWeek, archivedImages, recentEntries, describeEntry, computeStats, formatStats } from "./archive.js";
 
 const app = new App({
   token: process.env.SLACK_BOT_TOKEN,
@@ -12,60 +16,314 @@ const app = new App({
   socketMode: true,
 });
 
-const DAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
-const DATE_RE = /^(\d{2})-(\d{2})-(\d{4})$/;
-
 const HELP_TEXT = `*Schedule Bot Commands:*
-• \`today\` — today's schedule
-• \`tomorrow\` — tomorrow's schedule
-• \`Monday\` - \`Sunday\` — next occurrence of that day
-• \`02-10-2026\` — specific date (MM-DD-YYYY)
+Message me, mention me or use \`/schedule <when>\` — the image is posted right where you asked.
+In channels, mention me unless the message is just a bare command like \`today\`, \`week\` or \`now\`.
+• \`today\` / \`tomorrow\` — today's or tomorrow's schedule
+• \`friday\` / \`next friday\` — the coming Friday (\`this friday\` includes today, \`last friday\` is past)
+• \`in 3 days\` / \`in 2 weeks\` — relative dates
+• \`Feb 14\` / \`2026-02-14\` / \`02-14-2026\` — specific date
+• \`week\` / \`next week\` — week at a glance (Monday–Sunday)
+• \`now\` — what's on air, how long it has left and what's on after it
+• \`next\` — the next few shows
+• \`audit\` / \`audit friday\` / \`audit week\` — check for overlaps, dead air, duplicates and broken events
+• \`archive\` — recently generated and published schedules
+• \`archive last saturday\` / \`archive Feb 14\` — the graphic that went out on a past date
+• \`stats\` / \`stats Jan 31\` — most frequent shows and hosts, hours per week, new shows this month
+• \`rules\` — list show name rules
+• \`rule add hide <name or /regex/>\` — hide matching shows
+• \`rule add rename <name or /regex/> => <new name>\` — rename matching shows
+• \`rule add annotate <name or /regex/> => <note>\` — add a note to matching shows
+• \`rule add note <YYYY-MM-DD> <text>\` — pin a note on a date
+• \`rule remove <number>\` — delete a rule
 • \`help\` — show this message`;
 
-app.message(async ({ message, say }) => {
-  if (message.subtype || message.bot_id) return;
-
-  const text = (message.text || "").trim();
+// "rules", "rule add ...", "rule remove N" — returns a reply, or null if not a rules command
+function handleRulesCommand(text) {
   const lower = text.toLowerCase();
+  if (lower === "rules" || lower === "rule list") {
+    const rules = loadRules();
+    if (rules.length === 0) return "No rules yet. Try `rule add hide /placeholder/i`.";
+    return rules.map((r, i) => `${i + 1}. ${describeRule(r)}`).join("\n");
+  }
+  if (lower.startsWith("rule add ")) {
+    try {
+      const rule = parseRule(text.slice("rule add ".length));
+      const rules = loadRules();
+      rules.push(rule);
+      saveRules(rules);
+      return `Added rule ${rules.length}: ${describeRule(rule)}`;
+    } catch (e) {
+      return `${e.message}. Say \`help\` for the rule syntax.`;
+    }
+  }
+  const remove = /^rule (?:remove|delete) (\d+)$/.exec(lower);
+  if (remove) {
+    const rules = loadRules();
+    const idx = Number(remove[1]) - 1;
+    if (!rules[idx]) return `There is no rule ${remove[1]}.`;
+    const [removed] = rules.splice(idx, 1);
+    saveRules(rules);
+    return `Removed: ${describeRule(removed)}`;
+  }
+  return null;
+}
 
-  if (lower === "help" || lower === "commands") {
-    await say(HELP_TEXT);
+// What a message asks for: { week: ""|"next" }, { date: "YYYY-MM-DD" }, or null if it isn't a schedule request
+function parseRequest(text) {
+  const lower = text.trim().toLowerCase();
+  if (lower === "week" || lower === "this week") return { week: "" };
+  if (lower === "next week") return { week: "next" };
+  const date = parseDatePhrase(lower);
+  return date ? { date } : null;
+}
+
+// Keep a fresh render in the archive; a failure there mustn't stop the reply
+function archiveRender(store) {
+  try {
+    store();
+  } catch (e) {
+    console.warn(`WARNING: Could not archive the render: ${e.message}`);
+  }
+}
+
+// Render through the shared queue and upload into the channel (and thread) the request came from.
+// Identical requests share one render, and an unchanged schedule reuses the last PNG.
+async function sendSchedule(client, request, { channel, thread_ts }) {
+  const ranges = process.env.SHOW_END_TIMES === "true";
+  if (request.week !== undefined) {
+    const days = await loadWeek(request.week);
+    const filename = `Week_${days[0].month}_${days[0].dayNum}.png`;
+    const { result: png, cached } = await cachedRender(renderKey("week", days, { ranges }), async () => renderWeek(days, ranges));
+    if (!cached) archiveRender(() => archiveWeek(days, { data: png, filename }));
+    await client.filesUploadV2({
+      channel_id: channel,
+      thread_ts,
+      file_uploads: [{ file: png, filename }],
+      initial_comment: weekComment(days),
+    });
+    return;
+  }
+
+  const calData = await fetchShows(request.date);
+  if (calData.shows.length === 0) {
+    throw new Error(`No shows found for ${calData.day} ${calData.month} ${calData.dayNum}. Check the calendar.`);
+  }
+  // The key is built from the same options the render gets (profiles and renderer come from PROFILES and RENDERER)
+  const renderOpts = { ranges };
+  const key = renderKey("schedule", [calData], renderOpts);
+  const { result: images, cached } = await cachedRender(key, () => renderSchedule(calData, renderOpts));
+  console.log(`${calData.date}: ${cached ? "reused cached render" : "rendered"} ${key.slice(0, 8)}`);
+  if (!cached) archiveRender(() => archiveSchedule(calData, images.map(({ png, filename }) => ({ data: png, filename }))));
+  await client.filesUploadV2({
+    channel_id: channel,
+    thread_ts,
+    file_uploads: images.map(({ png, filename }) => ({ file: png, filename })),
+    initial_comment: dayComment(calData),
+  });
+}
+
+// "archive" lists recent entries; "archive <date>" uploads what was published (or last generated) for that date
+async function handleArchive(client, arg, where, reply) {
+  if (!arg) {
+    const entries = recentEntries(10);
+    await reply(entries.length ? entries.map((e) => `• ${describeEntry(e)}`).join("\n") : "Nothing archived yet.");
+    return;
+  }
+  const date = parseDatePhrase(arg);
+  if (!date) {
+    await reply(`I couldn't read "${arg}" as a date. Try \`archive last saturday\` or \`archive 2026-02-14\`.`);
+    return;
+  }
+  const archived = archivedImages(date);
+  if (!archived) {
+    await reply(`Nothing archived for ${date}.`);
     return;
   }
+  await client.filesUploadV2({
+    channel_id: where.channel,
+    thread_ts: where.thread_ts,
+    file_uploads: archived.files,
+    initial_comment: `${describeEntry(archived.entry)}${archived.published ? "" : " (never published, this is the latest render)"}`,
+  });
+}
 
-  // Match a day name or YYYY-MM-DD date
-  let dateArg = null;
-  if (lower === "today") {
-    dateArg = ""; // no arg = today
-  } else if (lower === "tomorrow") {
-    const d = new Date();
-    d.setDate(d.getDate() + 1);
-    dateArg = d.toISOString().slice(0, 10);
-  } else if (DAYS.includes(lower)) {
-    dateArg = text;
-  } else if (DATE_RE.test(text)) {
-    const [, mm, dd, yyyy] = text.match(DATE_RE);
-    dateArg = `${yyyy}-${mm}-${dd}`;
+// Handle help, rules and schedule requests from any entry point.
+// reply() answers in text; returns false when the text isn't a command.
+async function handleText(client, text, where, reply) {
+  const lower = text.toLowerCase();
+  if (lower === "help" || lower === "commands") {
+    await reply(HELP_TEXT);
+    return true;
   }
 
-  if (dateArg === null) return; // not a schedule request
+  const rulesReply = handleRulesCommand(text);
+  if (rulesReply) {
+    await reply(rulesReply);
+    return true;
+  }
 
-  await say(`Generating schedule${dateArg ? " for " + dateArg : " for today"}...`);
+  const archive = /^archive\b\s*(.*)$/i.exec(text);
+  if (archive) {
+    try {
+      await handleArchive(client, archive[1].trim(), where, reply);
+    } catch (e) {
+      console.error(e);
+      await reply(`:warning: Couldn't read the archive: ${e.message}`);
+    }
+    return true;
+  }
 
-  const args = [path.join(__dirname, "generate.js")];
-  if (dateArg) args.push(dateArg);
+  const stats = /^stats\b\s*(.*)$/i.exec(text);
+  if (stats) {
+    const today = stats[1] ? parseDatePhrase(stats[1]) : undefined;
+    await reply(today === null ? `I couldn't read "${stats[1]}" as a date.` : formatStats(computeStats({ today }), { slack: true }));
+    return true;
+  }
 
-  execFile("node", args, { cwd: __dirname, timeout: 120000 }, (err, stdout, stderr) => {
-    const output = (stdout + stderr).trim();
-    if (err) {
-      say(`Error: ${output.split("\n").pop()}`);
-    } else {
-      console.log(output);
+  if (/^(now|on now|on air|who'?s on|what'?s on)\??$/i.test(text) || /^(next|up next|what'?s next)\??$/i.test(text)) {
+    try {
+      const status = onAir(await loadLineup());
+      await reply(/next\??$/i.test(text) ? formatNext(status) : formatNow(status));
+    } catch (e) {
+      console.error(e);
+      await reply(`:warning: Couldn't read the calendar: ${e.message}`);
     }
-  });
+    return true;
+  }
+
+  const audit = /^audit\b\s*(.*)$/i.exec(text);
+  if (audit) {
+    const request = parseRequest(audit[1] || "today");
+    if (!request) {
+      await reply(`I couldn't read "${audit[1]}" as a date. Try \`audit tomorrow\` or \`audit next week\`.`);
+      return true;
+    }
+    try {
+      await reply(formatAudit(await runAudit(request), { slack: true }));
+    } catch (e) {
+      console.error(e);
+      await reply(`:warning: Audit failed: ${e.message}`);
+    }
+    return true;
+  }
+
+  const request = parseRequest(text);
+  if (!request) return false;
+
+  const what = request.week !== undefined
+    ? `the week schedule${request.week === "next" ? " for next week" : " for this week"}`
+    : `the schedule for ${request.date}`;
+  const ahead = queueLength();
+  await reply(`Generating ${what}${ahead ? ` (${ahead} ahead in the queue)` : ""}...`);
+  try {
+    await sendSchedule(client, request, where);
+  } catch (e) {
+    console.error(e);
+    await reply(`:warning: Couldn't generate ${what}: ${e.message}`);
+  }
+  return true;
+}
+
+// Commands answered in channels without a mention. Anything looser needs one, so that chatter
+// like "next time let's archive this" doesn't set off a render.
+const CHANNEL_COMMANDS = /^(help|commands|today|tomorrow|week|next week|now|next|up next|stats|archive|audit|rules)\??$/i;
+
+// Direct messages get every command and date phrase; other messages the bot can see only the bare commands
+app.message(async ({ message, say, client }) => {
+  if (message.subtype || message.bot_id) return;
+  const text = (message.text || "").trim();
+  if (message.channel_type !== "im" && !CHANNEL_COMMANDS.test(text)) return;
+  const where = { channel: message.channel, thread_ts: message.thread_ts };
+  await handleText(client, text, where, (reply) => say({ text: reply, thread_ts: message.thread_ts }));
+});
+
+// "@Schedule Bot next friday" — answers in the mention's thread if it was in one
+app.event("app_mention", async ({ event, say, client }) => {
+  const text = (event.text || "").replace(/<@[A-Z0-9]+>/g, "").trim() || "today";
+  const where = { channel: event.channel, thread_ts: event.thread_ts };
+  const reply = (msg) => say({ text: msg, thread_ts: event.thread_ts });
+  const handled = await handleText(client, text, where, reply);
+  if (!handled) await reply(`I didn't understand "${text}". Say \`help\` for what I can do.`);
+});
+
+// /schedule [when] — progress and errors are only shown to the person who asked
+app.command("/schedule", async ({ command, ack, respond, client }) => {
+  await ack();
+  const text = command.text.trim() || "today";
+  const reply = (msg) => respond({ text: msg, response_type: "ephemeral" });
+  const handled = await handleText(client, text, { channel: command.channel_id }, reply);
+  if (!handled) await reply(`I didn't understand "${text}". Try \`/schedule help\`.`);
+});
+
+// "Regenerate & replace image" button on watcher alerts
+app.action("schedule_regenerate", async ({ ack, body, action, client }) => {
+  await ack();
+  const date = action.value;
+  const channel = body.channel.id;
+  const thread_ts = body.message.ts;
+  await client.chat.postMessage({ channel, thread_ts, text: `Regenerating schedule for ${date}...` });
+
+  try {
+    await enqueue(() => run([date, "--replace"]));
+    await client.chat.postMessage({ channel, thread_ts, text: `Replaced the schedule image for ${date}.` });
+  } catch (e) {
+    console.error(e);
+    await client.chat.postMessage({ channel, thread_ts, text: `:warning: Couldn't regenerate ${date}: ${e.message}` });
+  }
+});
+
+// Review flow buttons on previews posted to REVIEW_CHANNEL
+app.action("review_approve", async ({ ack, body, action, client }) => {
+  await ack();
+  let text = null;
+  try {
+    if (!(await approvePending(action.value, `<@${body.user.id}>`))) text = "This preview was already handled.";
+  } catch (e) {
+    console.error(e);
+    text = `:warning: Approving this preview failed: ${e.message}`;
+  }
+  if (text) await client.chat.postEphemeral({ channel: body.channel.id, user: body.user.id, text });
+});
+
+app.action("review_cancel", async ({ ack, body, action, client }) => {
+  await ack();
+  let text = null;
+  try {
+    if (!(await cancelPending(action.value, `<@${body.user.id}>`))) text = "This preview was already handled.";
+  } catch (e) {
+    console.error(e);
+    text = `:warning: Cancelling this preview failed: ${e.message}`;
+  }
+  if (text) await client.chat.postEphemeral({ channel: body.channel.id, user: body.user.id, text });
+});
+
+app.action("review_regenerate", async ({ ack, body, action, client }) => {
+  await ack();
+  let pending;
+  try {
+    pending = await supersedePending(action.value, `<@${body.user.id}>`);
+  } catch (e) {
+    console.error(e);
+    await client.chat.postEphemeral({ channel: body.channel.id, user: body.user.id, text: `:warning: Couldn't regenerate: ${e.message}` });
+    return;
+  }
+  if (!pending) {
+    await client.chat.postEphemeral({ channel: body.channel.id, user: body.user.id, text: "This preview was already handled." });
+    return;
+  }
+  // Same arguments as the original run, but never block on auto-approval from the bot
+  try {
+    await enqueue(() => run((pending.args || []).filter((a) => a !== "--scheduled")));
+  } catch (e) {
+    console.error(e);
+    await client.chat.postMessage({ channel: body.channel.id, thread_ts: body.message.ts, text: `:warning: Couldn't regenerate: ${e.message}` });
+  }
 });
 
 (async () => {
   await app.start();
   console.log("Bot listening for schedule requests...");
+  if (process.env.WATCH_INTERVAL_MINUTES) startWatcher(app.client);
+  if (process.env.REMINDER_CHANNEL) startReminders(app.client);
 })();
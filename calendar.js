@@ -1,24 +1,122 @@
-import ical from "node-ical";
+import { loadFeeds } from "./feed.js";
+import { loadRules, applyRules } from "./rules.js";
+import { loadBadges, parseSummary } from "./badges.js";
 
-const TZ = "America/New_York";
+// Display timezone for times and day boundaries, plus an optional second zone for dual times
+const TZ = process.env.DISPLAY_TZ || "America/New_York";
+const SECOND_TZ = process.env.SECOND_TZ || "";
 
-// Format a JS Date in ET as "10:00 AM/ET"
-function formatTimeET(date) {
+/** Locale for dates, times and upper-casing on graphics (LOCALE, default en-US). */
+export const LOCALE = process.env.LOCALE || "en-US";
+// Wording for the graphic's header and clock, per language; LOCALE picks one ("es", "fr-CA"...)
+const STRINGS = {
+  en: { today: "TODAY", tomorrow: "TOMORROW", thisWeek: "THIS WEEK", nextWeek: "NEXT WEEK", noShows: "No shows", am: "AM", pm: "PM", clock: "12h" },
+  es: { today: "HOY", tomorrow: "MAÑANA", thisWeek: "ESTA SEMANA", nextWeek: "LA PRÓXIMA SEMANA", noShows: "Sin programas", am: "a.m.", pm: "p.m.", clock: "24h" },
+  fr: { today: "AUJOURD'HUI", tomorrow: "DEMAIN", thisWeek: "CETTE SEMAINE", nextWeek: "LA SEMAINE PROCHAINE", noShows: "Aucune émission", am: "AM", pm: "PM", clock: "24h" },
+};
+const LANG = STRINGS[LOCALE.split("-")[0].toLowerCase()] || STRINGS.en;
+// TIME_FORMAT=12h|24h overrides the language's usual clock
+const HOUR12 = (process.env.TIME_FORMAT || LANG.clock) !== "24h";
+
+/** AM and PM labels as printed in time lines; empty with a 24-hour clock. */
+export const TIME_PERIODS = HOUR12 ? [LANG.am, LANG.pm] : [];
+
+// Labels Intl doesn't produce on its own ("ET" rather than "EST"/"EDT")
+const ZONE_LABELS = {
+  "America/New_York": "ET",
+  "America/Chicago": "CT",
+  "America/Denver": "MT",
+  "America/Los_Angeles": "PT",
+};
+
+// Short label for a zone at a given instant: DISPLAY_TZ_LABEL / SECOND_TZ_LABEL,
+// then ZONE_LABELS, then Intl's own abbreviation ("CET", "BST", "GMT+9")
+function zoneLabel(tz, date) {
+  const override = tz === TZ ? process.env.DISPLAY_TZ_LABEL : process.env.SECOND_TZ_LABEL;
+  if (override) return override;
+  if (ZONE_LABELS[tz]) return ZONE_LABELS[tz];
+  const parts = new Intl.DateTimeFormat("en-GB", { timeZone: tz, timeZoneName: "short" }).formatToParts(date);
+  return parts.find((p) => p.type === "timeZoneName").value;
+}
+
+// Clock and AM/PM label for a Date in a zone: ["10:00", "AM"], or ["14:00", ""] with a 24-hour clock
+function clockParts(date, tz) {
   const parts = new Intl.DateTimeFormat("en-US", {
-    timeZone: TZ,
+    timeZone: tz,
     hour: "numeric",
     minute: "2-digit",
-    hour12: true,
+    hourCycle: "h23",
   }).formatToParts(date);
 
-  const hour = parts.find((p) => p.type === "hour").value;
+  const hour = Number(parts.find((p) => p.type === "hour").value);
   const minute = parts.find((p) => p.type === "minute").value;
-  const period = parts.find((p) => p.type === "dayPeriod").value;
-  return `${hour}:${minute} ${period}/ET`;
+  if (!HOUR12) return [`${String(hour).padStart(2, "0")}:${minute}`, ""];
+  return [`${hour % 12 || 12}:${minute}`, hour < 12 ? LANG.am : LANG.pm];
+}
+
+// "10:00 AM", "10:00–11:00 AM", or "11:00 AM–1:00 PM" across noon/midnight or longer spans, in one zone
+// (24-hour: "14:00", "14:00–16:00")
+function clockRange(start, end, tz) {
+  const [fromClock, fromPeriod] = clockParts(start, tz);
+  const from = fromPeriod ? `${fromClock} ${fromPeriod}` : fromClock;
+  if (!end || end.getTime() <= start.getTime()) return from;
+  const [toClock, toPeriod] = clockParts(end, tz);
+  const to = toPeriod ? `${toClock} ${toPeriod}` : toClock;
+  // One suffix only when both ends are in the same half-day: same AM/PM label, under 12 hours apart
+  if (toPeriod === fromPeriod && end - start < 12 * 3600000) return `${fromClock}–${to}`;
+  return `${from}–${to}`;
+}
+
+/**
+ * Format a start (and optional end) in the display zone: "10:00 AM/ET", "10:00–11:00 AM/ET"
+ * ("14:00/ET", "14:00–16:00/ET" with a 24-hour clock).
+ * With SECOND_TZ set both zones are printed: "10:00 AM ET / 4:00 PM CET".
+ * @param {Date} start
+ * @param {Date} [end]
+ * @returns {string}
+ */
+export function formatTimeRange(start, end) {
+  if (!SECOND_TZ) return `${clockRange(start, end, TZ)}/${zoneLabel(TZ, start)}`;
+  return [TZ, SECOND_TZ].map((tz) => `${clockRange(start, end, tz)} ${zoneLabel(tz, start)}`).join(" / ");
+}
+
+// Start time only, in the same format
+function formatTime(date) {
+  return formatTimeRange(date);
+}
+
+// Timestamp for Slack messages in the display zone, e.g. "Jan 8, 3:00 PM ET"
+export function formatTimestamp(date, options = { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" }) {
+  const d = new Date(date);
+  return `${d.toLocaleString("en-US", { timeZone: TZ, ...options })} ${zoneLabel(TZ, d)}`;
+}
+
+// node-ical returns parameterised properties as { params, val }
+function textValue(value) {
+  if (value && typeof value === "object") return value.val ?? "";
+  return value || "";
+}
+
+// Build a show object; source is the VEVENT (or override) supplying description/location
+function makeShow({ name, badges, live }, start, end, source, fallback = {}) {
+  const duration = end ? Math.max(0, Math.round((end.getTime() - start.getTime()) / 60000)) : 0;
+  return {
+    time: formatTime(start),
+    timeRange: formatTimeRange(start, end),
+    name,
+    badges,
+    live,
+    start,
+    end: end || start,
+    duration,
+    description: textValue(source.description || fallback.description).trim(),
+    location: textValue(source.location || fallback.location).trim(),
+    _sort: start.getTime(),
+  };
 }
 
-// Get YYYY-MM-DD string for a Date in ET
-function toETDateString(date) {
+// Get YYYY-MM-DD string for a Date in the display zone
+function toZoneDateString(date) {
   const parts = new Intl.DateTimeFormat("en-US", {
     timeZone: TZ,
     year: "numeric",
@@ -32,16 +130,49 @@ function toETDateString(date) {
   return `${y}-${m}-${d}`;
 }
 
-// Get day name, month name, day number from a Date in ET
-function getETDateInfo(date) {
-  const fmt = new Intl.DateTimeFormat("en-US", {
+// Milliseconds the display zone is ahead of UTC at a given instant (negative west of Greenwich)
+function zoneOffset(date) {
+  const parts = new Intl.DateTimeFormat("en-US", {
     timeZone: TZ,
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  const wall = Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"), get("second"));
+  return wall - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant a wall-clock time on a YYYY-MM-DD day happens in the display zone.
+ * Checked twice so a DST change between the UTC and local times is picked up.
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {number} [hour] - 0–23
+ * @returns {Date}
+ */
+export function zoneTime(dateStr, hour = 0) {
+  const wall = new Date(`${dateStr}T${String(hour).padStart(2, "0")}:00:00Z`).getTime();
+  const first = wall - zoneOffset(new Date(wall));
+  return new Date(wall - zoneOffset(new Date(first)));
+}
+
+// UTC instant of midnight starting a YYYY-MM-DD day in the display zone
+const zoneDayStart = (dateStr) => zoneTime(dateStr);
+
+// Get day name, month name, day number for a calendar date (YYYY-MM-DD)
+export function getDateInfo(dateStr) {
+  const fmt = new Intl.DateTimeFormat("en-US", {
+    timeZone: "UTC",
     weekday: "long",
     month: "long",
     day: "numeric",
     year: "numeric",
   });
-  const parts = fmt.formatToParts(date);
+  const parts = fmt.formatToParts(new Date(dateStr + "T12:00:00Z"));
   return {
     day: parts.find((p) => p.type === "weekday").value,
     month: parts.find((p) => p.type === "month").value,
@@ -50,62 +181,212 @@ function getETDateInfo(date) {
   };
 }
 
-// Strip emoji prefixes (e.g. "🔃Show Name" → "Show Name")
-// Returns empty string for restream events (filtered out)
-function cleanSummary(summary) {
-  if (!summary) return "";
-  if (/restream/i.test(summary)) return "";
-  return summary.replace(/^(?:[\p{Emoji_Presentation}\p{Extended_Pictographic}\u200d\ufe0f]\s*)+/u, "").trim();
+// Weekday, month and day in LOCALE, for printing on graphics; getDateInfo() stays English for templates and file names
+function localDateParts(dateStr, options) {
+  const parts = new Intl.DateTimeFormat(LOCALE, { timeZone: "UTC", ...options }).formatToParts(new Date(dateStr + "T12:00:00Z"));
+  // "jeudi 8 janvier", "jueves 8 de enero", "Thursday January 8" — without the comma Intl puts after the weekday
+  const text = parts.map((p) => (p.type === "literal" ? p.value.replace(/,\s*/, " ") : p.value)).join("").trim();
+  return text.charAt(0).toLocaleUpperCase(LOCALE) + text.slice(1);
+}
+
+/**
+ * Dates as printed on graphics, in LOCALE.
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {{ weekday: string, monthDay: string, full: string }} e.g. "Thursday", "January 8", "Thursday January 8"
+ */
+export function localDateInfo(dateStr) {
+  return {
+    weekday: localDateParts(dateStr, { weekday: "long" }),
+    monthDay: localDateParts(dateStr, { month: "long", day: "numeric" }),
+    full: localDateParts(dateStr, { weekday: "long", month: "long", day: "numeric" }),
+  };
+}
+
+/**
+ * The two header lines of a day's graphic. The first depends on how far the date is from today:
+ * TODAY, TOMORROW, the weekday for the rest of the coming week, otherwise the date.
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {string} [today] - YYYY-MM-DD, default today in the display zone
+ * @returns {{ mode: "today"|"tomorrow"|"weekday"|"date", title: string, dateLine: string }}
+ */
+export function scheduleHeader(dateStr, today = toZoneDateString(new Date())) {
+  const days = Math.round((Date.parse(dateStr) - Date.parse(today)) / 86400000);
+  const local = localDateInfo(dateStr);
+  const upper = (s) => s.toLocaleUpperCase(LOCALE);
+  const [mode, title] =
+    days === 0 ? ["today", LANG.today]
+    : days === 1 ? ["tomorrow", LANG.tomorrow]
+    : days > 1 && days < 7 ? ["weekday", upper(local.weekday)]
+    : ["date", upper(local.monthDay)];
+  return { mode, title, dateLine: local.full };
+}
+
+/**
+ * Title of a week graphic in LOCALE: "THIS WEEK" or "NEXT WEEK" before the date range when the week
+ * is one of those, otherwise the date range alone (the same choice scheduleHeader() makes for a day).
+ * @param {string} firstDate - YYYY-MM-DD, the week's Monday
+ * @param {string} lastDate - YYYY-MM-DD
+ * @param {string} [today] - YYYY-MM-DD, default today in the display zone
+ * @returns {{ mode: "this"|"next"|"range", title: string }}
+ */
+export function weekHeader(firstDate, lastDate, today = toZoneDateString(new Date())) {
+  const weeks = Math.round((Date.parse(weekStart(firstDate)) - Date.parse(weekStart(today))) / (7 * 86400000));
+  const range = `${localDateInfo(firstDate).monthDay} – ${localDateInfo(lastDate).monthDay}`;
+  if (weeks === 0) return { mode: "this", title: `${LANG.thisWeek}  ${range}` };
+  if (weeks === 1) return { mode: "next", title: `${LANG.nextWeek}  ${range}` };
+  return { mode: "range", title: range };
 }
 
+/** Fixed wording on the week graphic in LOCALE: an empty day's "No shows". */
+export const WEEK_LABELS = { noShows: LANG.noShows };
+
 // Resolve a day name ("Saturday") to the next occurrence as YYYY-MM-DD
 const DAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
 function resolveDayName(name) {
   const idx = DAYS.indexOf(name);
   if (idx === -1) return null;
-  const now = new Date();
-  const today = now.getDay();
-  const diff = (idx - today + 7) % 7;
-  const target = new Date(now);
-  target.setDate(target.getDate() + (diff || 7));
-  return toETDateString(target);
+  const today = toZoneDateString(new Date());
+  const diff = (idx - new Date(today + "T12:00:00Z").getUTCDay() + 7) % 7;
+  return addDays(today, diff || 7);
+}
+
+// Shift a YYYY-MM-DD string by n days
+export function addDays(dateStr, n) {
+  const d = new Date(dateStr + "T12:00:00Z");
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// Monday of the week containing a YYYY-MM-DD date
+export function weekStart(dateStr) {
+  const weekday = new Date(dateStr + "T12:00:00Z").getUTCDay();
+  return addDays(dateStr, -((weekday + 6) % 7));
+}
+
+// Monday (YYYY-MM-DD) of the week for a date argument, "next" for next week, or omit for this week
+export function resolveWeekStart(weekArg) {
+  const start = weekStart(resolveTargetDate(weekArg === "next" ? "" : weekArg));
+  return weekArg === "next" ? addDays(start, 7) : start;
+}
+
+// Resolve a date argument to YYYY-MM-DD in the display zone
+// (YYYY-MM-DD, day name, a phrase like "tomorrow", or omit for today)
+export function resolveTargetDate(dateArg) {
+  if (!dateArg) return toZoneDateString(new Date());
+  // YYYY-MM-DD goes through parseDatePhrase too, which rejects dates that don't exist (2026-02-30)
+  const resolved = resolveDayName(dateArg) || parseDatePhrase(dateArg);
+  if (!resolved) throw new Error("Invalid date: " + dateArg + ". Use YYYY-MM-DD, a day name or \"tomorrow\".");
+  return resolved;
+}
+
+// Month names and their usual abbreviations, in order; anything else ("marathon", "junk") isn't a month
+const MONTHS = [/^jan(uary)?$/, /^feb(ruary)?$/, /^mar(ch)?$/, /^apr(il)?$/, /^may$/, /^june?$/,
+  /^july?$/, /^aug(ust)?$/, /^sep(t(ember)?)?$/, /^oct(ober)?$/, /^nov(ember)?$/, /^dec(ember)?$/];
+
+// Month number (1–12) from "feb", "February", "sept"...
+function monthNumber(name) {
+  const idx = MONTHS.findIndex((re) => re.test(name.toLowerCase()));
+  return idx === -1 ? null : idx + 1;
+}
+
+// Valid YYYY-MM-DD for the given parts, or null (e.g. Feb 30)
+function isoDate(y, m, d) {
+  const date = `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+  const parsed = new Date(date + "T12:00:00Z"); // month 13 or day 0 is an Invalid Date, not an error
+  return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === date ? date : null;
 }
 
 /**
- * Fetch shows from Google Calendar iCal feed.
- * @param {string} [dateArg] - Optional: YYYY-MM-DD date, day name ("Saturday"), or omit for today.
- * @returns {Promise<{ day: string, month: string, dayNum: string, year: string, shows: Array<{ time: string, name: string }> }>}
+ * Parse a date phrase, relative to today in the display zone:
+ * "today", "tomorrow", "yesterday", "friday", "next friday", "this friday", "last friday", "in 3 days", "in 2 weeks",
+ * "Feb 14", "14 February", "Feb 14 2027", "2026-02-14" or "02-14-2026".
+ * A day name alone means its next occurrence after today; "this friday" may be today; "last friday" is before today.
+ * Without a year, a month/day picks whichever year puts it closest to today.
+ * @param {string} text
+ * @returns {string|null} YYYY-MM-DD, or null if the text isn't a date
  */
-export async function fetchShows(dateArg) {
-  const url = process.env.ICAL_URL;
-  if (!url) throw new Error("ICAL_URL not set in .env");
-
-  // Determine target date in ET
-  let targetDate;
-  if (!dateArg) {
-    targetDate = toETDateString(new Date());
-  } else if (/^\d{4}-\d{2}-\d{2}$/.test(dateArg)) {
-    targetDate = dateArg;
-  } else {
-    targetDate = resolveDayName(dateArg);
-    if (!targetDate) throw new Error("Invalid date: " + dateArg + ". Use YYYY-MM-DD or day name.");
+export function parseDatePhrase(text) {
+  const phrase = text.toLowerCase().replace(/[.,]/g, " ").replace(/\s+/g, " ").trim();
+  const today = toZoneDateString(new Date());
+  let m;
+
+  if (phrase === "today" || phrase === "tonight") return today;
+  if (phrase === "tomorrow") return addDays(today, 1);
+  if (phrase === "yesterday") return addDays(today, -1);
+
+  if ((m = /^(this |next |last )?(sun(?:day)?|mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:rs?(?:day)?)?|fri(?:day)?|sat(?:urday)?)$/.exec(phrase))) {
+    const idx = DAYS.findIndex((d) => d.toLowerCase().startsWith(m[2].slice(0, 3)));
+    const diff = (idx - new Date(today + "T12:00:00Z").getUTCDay() + 7) % 7;
+    if (m[1] === "last ") return addDays(today, diff - 7);
+    return addDays(today, m[1] === "this " ? diff : diff || 7);
   }
 
-  console.log(`Fetching calendar for ${targetDate}...`);
-  const data = await ical.async.fromURL(url);
+  if ((m = /^in (\d+|a|one) (day|week)s?$/.exec(phrase))) {
+    const n = /^\d+$/.test(m[1]) ? Number(m[1]) : 1;
+    return addDays(today, m[2] === "week" ? n * 7 : n);
+  }
+
+  if ((m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(phrase))) return isoDate(m[1], m[2], m[3]);
+  if ((m = /^(\d{2})-(\d{2})-(\d{4})$/.exec(phrase))) return isoDate(m[3], m[1], m[2]);
+
+  // "feb 14", "feb 14th 2027", "14 feb", "14th of february 2027"
+  m = /^([a-z]+) (\d{1,2})(?:st|nd|rd|th)?(?: (\d{4}))?$/.exec(phrase);
+  let month, day, year;
+  if (m) [month, day, year] = [monthNumber(m[1]), m[2], m[3]];
+  else if ((m = /^(\d{1,2})(?:st|nd|rd|th)? (?:of )?([a-z]+)(?: (\d{4}))?$/.exec(phrase))) {
+    [month, day, year] = [monthNumber(m[2]), m[1], m[3]];
+  }
+  if (!month) return null;
+  if (year) return isoDate(year, month, day);
+
+  const thisYear = Number(today.slice(0, 4));
+  const distance = (date) => Math.abs(new Date(date) - new Date(today));
+  const candidates = [thisYear - 1, thisYear, thisYear + 1].map((y) => isoDate(y, month, day)).filter(Boolean);
+  if (candidates.length === 0) return null;
+  return candidates.reduce((best, date) => (distance(date) < distance(best) ? date : best));
+}
 
-  // UTC bounds for RRULE expansion — widen to cover full ET day
-  // ET is UTC-5 (EST) or UTC-4 (EDT), so a show at 11 PM ET could be 04:00 UTC next day
-  const rruleAfter = new Date(targetDate + "T04:00:00Z");  // midnight ET (EST) = 5AM UTC, use 4AM for safety
-  const nextDay = new Date(rruleAfter);
-  nextDay.setDate(nextDay.getDate() + 1);
-  const rruleBefore = new Date(nextDay.toISOString().slice(0, 10) + "T05:59:59Z"); // ~1AM ET next day
+/**
+ * @typedef {object} AuditLog
+ * @property {Array<{ name: string, uid: string, reason: string }>} failed - events that couldn't be read
+ * @property {Array<{ name: string, start: Date }>} excluded - occurrences removed by EXDATE
+ * @property {Array<{ name: string, from: Date, to: Date, renamed: string|null }>} overridden - occurrences changed by a RECURRENCE-ID override
+ * @property {Array<{ name: string, start: Date, reason: string }>} skipped - dropped badges (restreams), untitled and duplicate events
+ * @property {Array<{ name: string, start: Date, match: string }>} hidden - shows removed by a hide rule in rules.json
+ */
+
+// Collect the shows airing on targetDate (YYYY-MM-DD, display zone) from parsed calendar data.
+// Pass an AuditLog to find out what happened to events that didn't make it through unchanged.
+function collectShows(data, targetDate, log = null, badges = loadBadges()) {
+  // UTC bounds of the target day in the display zone, for RRULE expansion.
+  // Days are 23 or 25 hours long on DST changes, so both ends are computed.
+  const rruleAfter = zoneDayStart(targetDate);
+  const rruleBefore = new Date(zoneDayStart(addDays(targetDate, 1)).getTime() - 1);
 
   const shows = [];
   const seen = new Set(); // dedupe by time+name
+  const record = (list, entry) => log?.[list].push(entry);
+
+  // Add a show unless it has no usable name or duplicates one already added
+  const add = (summary, start, end, source, fallback) => {
+    const parsed = parseSummary(summary, badges);
+    const { name, dropped } = parsed;
+    if (dropped || !name) {
+      record("skipped", { name: summary || "", start, reason: dropped || "no title" });
+      return;
+    }
+    const key = formatTime(start) + "|" + name;
+    if (seen.has(key)) {
+      record("skipped", { name, start, reason: "duplicate of another event at the same time" });
+      return;
+    }
+    seen.add(key);
+    shows.push(makeShow(parsed, start, end, source, fallback));
+  };
 
   for (const event of Object.values(data)) {
     if (event.type !== "VEVENT") continue;
+    const fail = (reason) => record("failed", { name: event.summary || "(untitled)", uid: event.uid || "", reason });
 
     try {
       if (event.rrule) {
@@ -113,47 +394,59 @@ export async function fetchShows(dateArg) {
         let occurrences;
         try {
           occurrences = event.rrule.between(rruleAfter, rruleBefore, true);
-        } catch { continue; }
+        } catch (e) {
+          fail(`RRULE could not be expanded: ${e.message}`);
+          continue;
+        }
+
+        // Occurrences inherit the series' length unless an override sets its own DTEND
+        const seriesLength = event.end ? event.end.getTime() - event.start.getTime() : 0;
 
         for (const occ of occurrences) {
           let summary = event.summary;
           let startTime = occ;
+          let endTime = new Date(occ.getTime() + seriesLength);
+          let source = event;
+
+          // Check exdate (excluded dates)
+          if (event.exdate) {
+            const excluded = Object.values(event.exdate).some((d) => {
+              try { return toZoneDateString(d) === toZoneDateString(occ); } catch { return false; }
+            });
+            if (excluded) {
+              record("excluded", { name: event.summary || "", start: occ });
+              continue;
+            }
+          }
 
           // Check for recurrence override (modified instance)
           if (event.recurrences) {
             const override =
-              event.recurrences[targetDate] ||
-              event.recurrences[occ.toISOString()];
+              event.recurrences[occ.toISOString()] ||
+              event.recurrences[occ.toISOString().slice(0, 10)];
             if (override) {
               summary = override.summary || summary;
               startTime = override.start || startTime;
+              endTime = override.end || new Date(startTime.getTime() + seriesLength);
+              source = override;
+              record("overridden", {
+                name: event.summary || "",
+                from: occ,
+                to: startTime,
+                renamed: summary !== event.summary ? summary : null,
+              });
             }
           }
 
-          // Check exdate (excluded dates)
-          if (event.exdate) {
-            const excluded = Object.values(event.exdate).some((d) => {
-              try { return toETDateString(d) === targetDate; } catch { return false; }
-            });
-            if (excluded) continue;
+          // Verify the occurrence (or its override) still falls on the target date
+          try {
+            if (toZoneDateString(startTime) !== targetDate) continue;
+          } catch {
+            fail(`override has an invalid start time (${startTime})`);
+            continue;
           }
 
-          // Verify the occurrence falls on target date in ET
-          try {
-            if (toETDateString(startTime) !== targetDate) continue;
-          } catch { continue; }
-
-          const name = cleanSummary(summary);
-          if (!name) continue;
-          const key = formatTimeET(startTime) + "|" + name;
-          if (seen.has(key)) continue;
-          seen.add(key);
-
-          shows.push({
-            time: formatTimeET(startTime),
-            name,
-            _sort: startTime.getTime(),
-          });
+          add(summary, startTime, endTime, source, event);
         }
         // Also check recurrence overrides that MOVE events onto the target date
         // (e.g., a weekly show rescheduled from Jan 17 to Jan 24)
@@ -161,52 +454,108 @@ export async function fetchShows(dateArg) {
           for (const override of Object.values(event.recurrences)) {
             if (!override.start) continue;
             try {
-              if (toETDateString(override.start) !== targetDate) continue;
-            } catch { continue; }
-
-            const name = cleanSummary(override.summary || event.summary);
-            if (!name) continue;
-            const key = formatTimeET(override.start) + "|" + name;
-            if (seen.has(key)) continue;
-            seen.add(key);
-
-            shows.push({
-              time: formatTimeET(override.start),
-              name,
-              _sort: override.start.getTime(),
-            });
+              if (toZoneDateString(override.start) !== targetDate) continue;
+            } catch {
+              fail(`override has an invalid start time (${override.start})`);
+              continue;
+            }
+
+            const { name } = parseSummary(override.summary || event.summary, badges);
+            if (name && seen.has(formatTime(override.start) + "|" + name)) continue;
+            if (override.recurrenceid) {
+              record("overridden", {
+                name: event.summary || "",
+                from: override.recurrenceid,
+                to: override.start,
+                renamed: override.summary && override.summary !== event.summary ? override.summary : null,
+              });
+            }
+
+            const overrideEnd = override.end || new Date(override.start.getTime() + seriesLength);
+            add(override.summary || event.summary, override.start, overrideEnd, override, event);
           }
         }
       } else if (event.start) {
-        // One-off event — check if it falls on target date in ET
-        if (toETDateString(event.start) !== targetDate) continue;
-
-        const name = cleanSummary(event.summary);
-        if (!name) continue;
-        const key = formatTimeET(event.start) + "|" + name;
-        if (seen.has(key)) continue;
-        seen.add(key);
-
-        shows.push({
-          time: formatTimeET(event.start),
-          name,
-          _sort: event.start.getTime(),
-        });
+        // One-off event — check if it falls on target date in the display zone
+        if (toZoneDateString(event.start) !== targetDate) continue;
+        add(event.summary, event.start, event.end, event);
+      } else {
+        fail("no DTSTART");
       }
-    } catch {
+    } catch (e) {
       // Skip events with bad data
+      fail(e.message);
       continue;
     }
   }
 
   shows.sort((a, b) => a._sort - b._sort);
   shows.forEach((s) => delete s._sort);
+  return shows;
+}
+
+/**
+ * @typedef {object} Show
+ * @property {string} time - Start time, "10:00 AM/ET" (or "10:00 AM ET / 4:00 PM CET" with SECOND_TZ)
+ * @property {string} timeRange - Start–end, "10:00–12:00 PM/ET" (same as time when there's no end)
+ * @property {string} name - Summary without its leading emoji
+ * @property {string[]} badges - Badge types from the title's markers and keywords (see badges.js)
+ * @property {boolean} live - false when a badge marks it as not live (a replay), so it gets no reminder
+ * @property {Date} start
+ * @property {Date} end - Equal to start for events without DTEND
+ * @property {number} duration - Minutes
+ * @property {string} description
+ * @property {string} location
+ * @property {string} [note] - From an annotate rule in rules.json
+ */
+
+/**
+ * Fetch shows from the iCal feed(s) in ICAL_URL.
+ * rules.json rename/hide/annotate rules are applied; `notes` holds day-level annotations.
+ * `stale` is the fetch time of the cached copy used when the calendar was unreachable, else null.
+ * @param {string} [dateArg] - Optional: YYYY-MM-DD date, day name ("Saturday"), or omit for today.
+ * @returns {Promise<{ date: string, day: string, month: string, dayNum: string, year: string, shows: Show[], notes: string[], stale: string|null }>}
+ */
+export async function fetchShows(dateArg) {
+  const targetDate = resolveTargetDate(dateArg);
 
-  // Get date info from target date (use noon ET to avoid DST edge cases)
-  const [y, m, d] = targetDate.split("-");
-  const target = new Date(`${y}-${m}-${d}T12:00:00`);
-  const info = getETDateInfo(target);
+  console.log(`Fetching calendar for ${targetDate}...`);
+  const { data, stale } = await loadFeeds();
+  const { shows, notes } = applyRules(collectShows(data, targetDate), targetDate);
+  const info = getDateInfo(targetDate);
 
   console.log(`Found ${shows.length} shows for ${info.day} ${info.month} ${info.dayNum}`);
-  return { ...info, shows };
+  return { date: targetDate, ...info, shows, notes, stale };
+}
+
+/**
+ * Fetch shows for every day (in the display zone) from start to end (inclusive), downloading the feed once.
+ * With { audit: true } each day also carries `log`, an AuditLog of failed, excluded, overridden, skipped and hidden events,
+ * and `calendarShows`, the day's shows as the calendar has them, before rules.json.
+ * @param {string} start - YYYY-MM-DD date or day name
+ * @param {string} end - YYYY-MM-DD date or day name
+ * @param {{ audit?: boolean }} [opts]
+ * @returns {Promise<Array<{ date: string, day: string, month: string, dayNum: string, year: string, shows: Show[], notes: string[], stale: string|null, log?: AuditLog }>>}
+ */
+export async function fetchShowsRange(start, end, opts = {}) {
+  const startDate = resolveTargetDate(start);
+  const endDate = resolveTargetDate(end);
+  if (endDate < startDate) throw new Error(`Invalid range: ${startDate} is after ${endDate}`);
+
+  console.log(`Fetching calendar for ${startDate} to ${endDate}...`);
+  const { data, stale } = await loadFeeds();
+  const rules = loadRules();
+  const badges = loadBadges();
+
+  const days = [];
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    const log = opts.audit ? { failed: [], excluded: [], overridden: [], skipped: [], hidden: [] } : null;
+    const calendarShows = collectShows(data, date, log, badges);
+    const { shows, notes } = applyRules(calendarShows, date, rules, log);
+    days.push({ date, ...getDateInfo(date), shows, notes, stale, ...(log && { log, calendarShows }) });
+  }
+
+  const total = days.reduce((n, d) => n + d.shows.length, 0);
+  console.log(`Found ${total} shows across ${days.length} days`);
+  return days;
 }
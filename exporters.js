@@ -0,0 +1,146 @@
+import fs from "fs";
+import path from "path";
+
+// Options shared by every exporter: { ranges } prints "10:00–12:00 PM/ET" instead of the start time
+function showTime(show, opts) {
+  return opts.ranges ? show.timeRange : show.time;
+}
+
+// Show name with its rules.json annotation, if any
+function showName(show) {
+  return show.note ? `${show.name} (${show.note})` : show.name;
+}
+
+// Plain text, one show per line — for the newsletter
+export function toText({ day, month, dayNum, shows, notes = [] }, opts = {}) {
+  const lines = [`${day} ${month} ${dayNum}`, ...notes, ""];
+  for (const show of shows) {
+    lines.push(`${showTime(show, opts)}  ${showName(show)}`);
+    if (show.location) lines.push(`  @ ${show.location}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Markdown list for the web team
+export function toMarkdown({ day, month, dayNum, year, shows, notes = [] }, opts = {}) {
+  const lines = [`## ${day}, ${month} ${dayNum}, ${year}`, ""];
+  for (const note of notes) lines.push(`> ${escapeMarkdown(note)}`, "");
+  for (const show of shows) {
+    lines.push(`- **${showTime(show, opts)}** — ${escapeMarkdown(showName(show))}`);
+    if (show.description) lines.push(`  ${escapeMarkdown(show.description).replace(/\n+/g, " ")}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]<>#|])/g, "\\$1");
+}
+
+export function toJSON({ date, day, month, dayNum, year, shows, notes = [] }) {
+  return JSON.stringify({ date, day, month, dayNum, year, notes, shows }, null, 2) + "\n";
+}
+
+// iCalendar date-time in UTC ("20260208T150000Z")
+function icsDate(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function icsEscape(text) {
+  return text.replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\n/g, "\\n");
+}
+
+// Fold lines longer than 75 octets, as RFC 5545 requires
+function icsFold(line) {
+  const out = [];
+  let current = "";
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch) > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = "";
+    }
+    current += ch;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+}
+
+// Standalone .ics with only the shows on the graphic (restreams etc. already filtered out)
+export function toICS({ date, shows }) {
+  const stamp = icsDate(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//The Lot Radio//Schedule//EN",
+    "CALSCALE:GREGORIAN",
+    `X-WR-CALNAME:${icsEscape(`The Lot Radio ${date}`)}`,
+  ];
+  for (const show of shows) {
+    const start = new Date(show.start);
+    const end = new Date(show.end || show.start);
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${icsDate(start)}-${show.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "")}@lot-radio-schedule`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsDate(start)}`
+    );
+    if (end > start) lines.push(`DTEND:${icsDate(end)}`);
+    lines.push(`SUMMARY:${icsEscape(showName(show))}`);
+    if (show.description) lines.push(`DESCRIPTION:${icsEscape(show.description)}`);
+    if (show.location) lines.push(`LOCATION:${icsEscape(show.location)}`);
+    lines.push("END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+
+const SLACK_SECTION_LIMIT = 3000;
+
+function escapeSlack(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// Block Kit lineup — split across sections to stay under Slack's per-section text limit
+export function toSlackBlocks({ day, month, dayNum, shows, notes = [] }, opts = {}) {
+  const blocks = [
+    { type: "header", text: { type: "plain_text", text: `${day} ${month} ${dayNum}` } },
+  ];
+  if (notes.length) {
+    blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: notes.map(escapeSlack).join("\n") }] });
+  }
+  let chunk = "";
+  for (const show of shows) {
+    const line = `*${showTime(show, opts)}*  ${escapeSlack(showName(show))}\n`;
+    if (chunk.length + line.length > SLACK_SECTION_LIMIT) {
+      blocks.push({ type: "section", text: { type: "mrkdwn", text: chunk.trimEnd() } });
+      chunk = "";
+    }
+    chunk += line;
+  }
+  if (chunk) blocks.push({ type: "section", text: { type: "mrkdwn", text: chunk.trimEnd() } });
+  return blocks;
+}
+
+const EXPORTERS = {
+  txt: toText,
+  md: toMarkdown,
+  json: toJSON,
+  ics: toICS,
+};
+
+/**
+ * Write text, Markdown, JSON and .ics versions of a day's schedule.
+ * @param {object} calData - fetchShows() result
+ * @param {string} dir - Output directory
+ * @param {string} baseName - File name without extension (e.g. "TEST_Saturday")
+ * @param {{ ranges?: boolean }} [opts]
+ * @returns {string[]} Paths written
+ */
+export function writeExports(calData, dir, baseName, opts = {}) {
+  const written = [];
+  for (const [ext, exporter] of Object.entries(EXPORTERS)) {
+    const outPath = path.join(dir, `${baseName}.${ext}`);
+    fs.writeFileSync(outPath, exporter(calData, opts));
+    written.push(outPath);
+  }
+  return written;
+}
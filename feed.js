@@ -0,0 +1,119 @@
+import ical from "node-ical";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { withRetry } from "./ops.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CACHE_DIR = path.join(__dirname, "output", "cache");
+
+// Minutes a cached feed is used without revalidating (ICAL_CACHE_MAX_AGE, default 10)
+function maxAgeMs() {
+  const minutes = Number(process.env.ICAL_CACHE_MAX_AGE ?? 10);
+  return (Number.isFinite(minutes) ? minutes : 10) * 60 * 1000;
+}
+
+// ICAL_URL may list several feeds separated by commas; each is a URL or a local .ics path
+function feedSources() {
+  const raw = process.env.ICAL_URL;
+  if (!raw) throw new Error("ICAL_URL not set in .env");
+  return raw.split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+function cachePaths(url) {
+  const key = crypto.createHash("sha1").update(url).digest("hex").slice(0, 16);
+  return {
+    body: path.join(CACHE_DIR, `${key}.ics`),
+    meta: path.join(CACHE_DIR, `${key}.json`),
+  };
+}
+
+function readCache(url) {
+  const paths = cachePaths(url);
+  try {
+    const meta = JSON.parse(fs.readFileSync(paths.meta, "utf8"));
+    return { ...meta, text: fs.readFileSync(paths.body, "utf8") };
+  } catch {
+    return null;
+  }
+}
+
+function writeCache(url, text, meta) {
+  const paths = cachePaths(url);
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+  if (text !== null) fs.writeFileSync(paths.body, text);
+  fs.writeFileSync(paths.meta, JSON.stringify({ url, ...meta }, null, 2));
+}
+
+// Fetch a remote feed through the disk cache.
+// Returns { text, stale } — stale is the ISO time of the last good copy when the network failed.
+async function fetchRemote(url) {
+  const cached = readCache(url);
+  if (cached && Date.now() - new Date(cached.fetchedAt).getTime() < maxAgeMs()) {
+    console.log(`  Feed cache hit (${cached.fetchedAt})`);
+    return { text: cached.text, stale: null };
+  }
+
+  const headers = {};
+  if (cached?.etag) headers["If-None-Match"] = cached.etag;
+  if (cached?.lastModified) headers["If-Modified-Since"] = cached.lastModified;
+
+  try {
+    const res = await withRetry("Calendar fetch", async () => {
+      const response = await fetch(url, { headers, signal: AbortSignal.timeout(30000) });
+      if (response.status >= 500 || response.status === 429) {
+        const err = new Error(`HTTP ${response.status} ${response.statusText}`);
+        err.status = response.status;
+        throw err;
+      }
+      return response;
+    });
+    const fetchedAt = new Date().toISOString();
+    if (res.status === 304 && cached) {
+      writeCache(url, null, { etag: cached.etag, lastModified: cached.lastModified, fetchedAt });
+      console.log("  Feed not modified, cache revalidated");
+      return { text: cached.text, stale: null };
+    }
+    if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText}`);
+    const text = await res.text();
+    writeCache(url, text, {
+      etag: res.headers.get("etag"),
+      lastModified: res.headers.get("last-modified"),
+      fetchedAt,
+    });
+    return { text, stale: null };
+  } catch (e) {
+    if (!cached) throw new Error(`Calendar fetch failed and no cached copy exists: ${e.message}`);
+    console.warn(`WARNING: Calendar fetch failed (${e.message}), using cached copy from ${cached.fetchedAt}`);
+    return { text: cached.text, stale: cached.fetchedAt };
+  }
+}
+
+async function readSource(source) {
+  if (/^https?:\/\//i.test(source)) return fetchRemote(source);
+  const file = source.startsWith("file://") ? fileURLToPath(source) : path.resolve(__dirname, source);
+  return { text: fs.readFileSync(file, "utf8"), stale: null };
+}
+
+/**
+ * Load and merge every feed in ICAL_URL.
+ * @returns {Promise<{ data: object, stale: string|null }>} Parsed node-ical data, and the oldest
+ *   fallback copy's fetch time if any feed could only be served from cache.
+ */
+export async function loadFeeds() {
+  const sources = feedSources();
+  const data = {};
+  let stale = null;
+
+  for (let i = 0; i < sources.length; i++) {
+    const { text, stale: sourceStale } = await readSource(sources[i]);
+    const parsed = await ical.async.parseICS(text);
+    // Prefix keys so events with the same UID in different feeds don't overwrite each other
+    for (const [key, value] of Object.entries(parsed)) {
+      data[sources.length > 1 ? `${i}:${key}` : key] = value;
+    }
+    if (sourceStale && (!stale || sourceStale < stale)) stale = sourceStale;
+  }
+  return { data, stale };
+}
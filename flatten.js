@@ -0,0 +1,158 @@
+import { createCanvas, Canvas, ImageData } from "@napi-rs/canvas";
+
+// Photoshop blend modes → canvas globalCompositeOperation
+// Modes without a canvas equivalent (dissolve, vivid light, ...) fall back to normal
+const BLEND_MODES = {
+  "normal": "source-over",
+  "multiply": "multiply",
+  "screen": "screen",
+  "overlay": "overlay",
+  "darken": "darken",
+  "lighten": "lighten",
+  "color dodge": "color-dodge",
+  "color burn": "color-burn",
+  "linear dodge": "lighter",
+  "hard light": "hard-light",
+  "soft light": "soft-light",
+  "difference": "difference",
+  "exclusion": "exclusion",
+  "hue": "hue",
+  "saturation": "saturation",
+  "color": "color",
+  "luminosity": "luminosity",
+};
+
+// Copy any canvas-like object (node-canvas from ag-psd, or our Skia text bitmap) into a Skia canvas
+export function toSkia(source) {
+  if (source instanceof Canvas) return source;
+  const { width, height } = source;
+  const pixels = source.getContext("2d").getImageData(0, 0, width, height);
+  const out = createCanvas(width, height);
+  out.getContext("2d").putImageData(new ImageData(new Uint8ClampedArray(pixels.data), width, height), 0, 0);
+  return out;
+}
+
+// Layer pixels positioned on a document-sized canvas, with the layer mask applied
+function layerOnDocument(layer, width, height) {
+  const doc = createCanvas(width, height);
+  const ctx = doc.getContext("2d");
+  ctx.drawImage(toSkia(layer.canvas), layer.left || 0, layer.top || 0);
+
+  const mask = layer.mask;
+  if (mask?.canvas && !mask.disabled) {
+    // Masks are grayscale: white = visible, black = hidden
+    const maskCanvas = toSkia(mask.canvas);
+    const maskData = maskCanvas.getContext("2d").getImageData(0, 0, maskCanvas.width, maskCanvas.height);
+    for (let i = 0; i < maskData.data.length; i += 4) {
+      maskData.data[i + 3] = maskData.data[i];
+    }
+    const alpha = createCanvas(width, height);
+    const actx = alpha.getContext("2d");
+    if (mask.defaultColor) {
+      actx.fillStyle = `rgba(255,255,255,${mask.defaultColor / 255})`;
+      actx.fillRect(0, 0, width, height);
+      actx.clearRect(mask.left || 0, mask.top || 0, maskCanvas.width, maskCanvas.height);
+    }
+    const maskTile = createCanvas(maskCanvas.width, maskCanvas.height);
+    maskTile.getContext("2d").putImageData(maskData, 0, 0);
+    actx.drawImage(maskTile, mask.left || 0, mask.top || 0);
+
+    ctx.globalCompositeOperation = "destination-in";
+    ctx.drawImage(alpha, 0, 0);
+    ctx.globalCompositeOperation = "source-over";
+  }
+  return doc;
+}
+
+// Artboard background as a fill style, or null when transparent
+function artboardFill(artboard) {
+  switch (artboard.backgroundType) {
+    case 2: return "black";
+    case 3: return null;
+    case 4: {
+      const { r = 255, g = 255, b = 255 } = artboard.color || {};
+      return `rgb(${Math.round(r)},${Math.round(g)},${Math.round(b)})`;
+    }
+    default: return "white";
+  }
+}
+
+function composite(ctx, source, layer) {
+  ctx.save();
+  ctx.globalAlpha = layer.opacity ?? 1;
+  ctx.globalCompositeOperation = BLEND_MODES[layer.blendMode] || "source-over";
+  ctx.drawImage(source, 0, 0);
+  ctx.restore();
+}
+
+// Render a layer (or group) to a document-sized canvas, ready to composite
+function renderLayer(layer, width, height) {
+  if (layer.children) {
+    const group = createCanvas(width, height);
+    const gctx = group.getContext("2d");
+    if (layer.artboard) {
+      const fill = artboardFill(layer.artboard);
+      const { top = 0, left = 0, bottom = height, right = width } = layer.artboard.rect || {};
+      if (fill) {
+        gctx.fillStyle = fill;
+        gctx.fillRect(left, top, right - left, bottom - top);
+      }
+    }
+    drawLayers(gctx, layer.children, width, height);
+    return group;
+  }
+  if (!layer.canvas) return null;
+  return layerOnDocument(layer, width, height);
+}
+
+// Draw a bottom-to-top layer list, honouring clipping masks
+function drawLayers(ctx, layers, width, height) {
+  for (let i = 0; i < layers.length; i++) {
+    const layer = layers[i];
+    if (layer.hidden || layer.clipping) continue;
+
+    // "pass through" groups blend their children straight into the parent
+    if (layer.children && (layer.blendMode === "pass through" || !layer.blendMode) && !layer.artboard && (layer.opacity ?? 1) === 1) {
+      drawLayers(ctx, layer.children, width, height);
+      continue;
+    }
+
+    const base = renderLayer(layer, width, height);
+    if (!base) continue;
+
+    // Layers directly above with clipping=true are clipped to this layer's pixels
+    if (layers[i + 1]?.clipping) clipOnto(base, layers, i + 1, width, height);
+
+    composite(ctx, base, layer);
+  }
+}
+
+// Composite the clipping layers starting at layers[from] onto base, masked by base's pixels
+function clipOnto(base, layers, from, width, height) {
+  const bctx = base.getContext("2d");
+  const clipShape = createCanvas(width, height);
+  clipShape.getContext("2d").drawImage(base, 0, 0);
+  for (let j = from; j < layers.length && layers[j].clipping; j++) {
+    const clipped = layers[j];
+    if (clipped.hidden) continue;
+    const clippedCanvas = renderLayer(clipped, width, height);
+    if (!clippedCanvas) continue;
+    const cctx = clippedCanvas.getContext("2d");
+    cctx.globalCompositeOperation = "destination-in";
+    cctx.drawImage(clipShape, 0, 0);
+    composite(bctx, clippedCanvas, clipped);
+  }
+}
+
+/**
+ * Flatten a PSD read by ag-psd (including replaced layer canvases) into a PNG, without Photopea.
+ * Layer effects (shadows, strokes) are not rendered; bake them into the template if needed.
+ * @param {import("ag-psd").Psd} psd
+ * @returns {Promise<Buffer>} PNG bytes
+ */
+export async function flattenPsd(psd) {
+  const { width, height } = psd;
+  const out = createCanvas(width, height);
+  drawLayers(out.getContext("2d"), psd.children || [], width, height);
+  return out.encode("png");
+}
@@ -1,14 +1,21 @@
 import "dotenv/config";
-import HeadlessPhotopea from "headlessphotopea";
 import { readPsd, writePsd, initializeCanvas } from "ag-psd";
 import canvas from "canvas";
-import { createCanvas as skiaCanvas, GlobalFonts } from "@napi-rs/canvas";
+import { createCanvas as skiaCanvas } from "@napi-rs/canvas";
 import fs from "fs";
 import path from "path";
 import http from "http";
 import { fileURLToPath } from "url";
-import { fetchShows } from "./calendar.js";
-import { WebClient } from "@slack/web-api";
+import { parseArgs } from "util";
+import { fetchShows, fetchShowsRange, resolveWeekStart, addDays, formatTimestamp, scheduleHeader, weekHeader, localDateInfo, WEEK_LABELS, TIME_PERIODS, LOCALE } from "./calendar.js";
+import { flattenPsd, toSkia } from "./flatten.js";
+import { writeExports, toSlackBlocks } from "./exporters.js";
+import { publish, requestApproval, waitForApproval, loadPending } from "./publish.js";
+import { resolveTemplate, TEMPLATE_DIR } from "./templates.js";
+import { layoutText, fontString, FONT_STACK, DEFAULT_BREAKS } from "./layout.js";
+import { archiveSchedule, archiveWeek } from "./archive.js";
+import { loadBadges, badgeStyles } from "./badges.js";
+import { logStep, runStep, withRetry, isTransient, withRun, exitCodeFor, alertOps } from "./ops.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -16,13 +23,6 @@ const __dirname = path.dirname(__filename);
 // ag-psd needs node-canvas for PSD layer compositing
 initializeCanvas(canvas.createCanvas, canvas.createImageData);
 
-// Register InputMonoNarrow in Skia for our text rendering
-GlobalFonts.registerFromPath(
-  path.join(__dirname, "fonts", "InputMonoNarrow-Regular.ttf"),
-  "InputMono"
-);
-
-const PSD_DIR = path.join(__dirname, "templates");
 const OUTPUT_DIR = path.join(__dirname, "output");
 
 // Layout config
@@ -42,6 +42,86 @@ const LAYOUT = {
   logoDefaultTop: 1620,
   logoMinGap: 50,
   textTopAdjust: 20,  // pixels to move text layer up
+  logoAlign: "text",  // "text" = under the lineup at the text margin, "right" = pinned to the right edge
+  logoMargin: 60,     // right-edge margin when logoAlign is "right"
+  bottomMargin: 40,   // keep the logo (or text, if the logo is beside it) this far above the bottom edge
+  minFontScale: 0.75, // shrink fonts and leading down to this factor before splitting into pages
+  fontScaleStep: 0.05,
+  fonts: FONT_STACK,  // fallback families for glyphs InputMono lacks (emoji, CJK)
+  breaks: DEFAULT_BREAKS, // preferred wrap points in show names, in priority order
+  minLineScale: 0.8,  // shrink a line with an unbreakable word down to this factor...
+  overflow: "hyphenate", // ...then "hyphenate" or "ellipsis" it
+  badgeGap: 14,       // time → badge tag, and between tags
+  badgeBar: 4,        // width of the colour accent left of a badged show's name
+};
+
+// Output size profiles — layout values override LAYOUT for that format.
+// story matches the templates' native artboard; other formats reframe the artwork to cover.
+const PROFILES = {
+  story: {
+    width: 1080,
+    height: 1920,
+    layout: {},
+  },
+  square: {
+    width: 1080,
+    height: 1080,
+    layout: {
+      timeFontSize: 20,
+      nameFontSize: 28,
+      timeLead: 28,
+      nameLead: 26,
+      subLineLead: 26,
+      headerGap: 34,
+      minCanvasH: 1000,
+      availableHeight: 760,
+      minPairGap: 24,
+      maxPairGap: 44,
+      logoDefaultTop: 900,
+      logoMinGap: 30,
+      textTopAdjust: 150,
+    },
+  },
+  banner: {
+    width: 1500,
+    height: 500,
+    layout: {
+      timeFontSize: 16,
+      nameFontSize: 22,
+      timeLead: 22,
+      nameLead: 20,
+      subLineLead: 22,
+      headerGap: 28,
+      minCanvasW: 1000,
+      minCanvasH: 480,
+      availableHeight: 420,
+      minPairGap: 12,
+      maxPairGap: 24,
+      logoAlign: "right",
+      logoDefaultTop: 40,
+      textTopAdjust: 191,
+    },
+  },
+};
+
+// Week-at-a-glance layout (pure Skia, seven columns Mon–Sun)
+const WEEK_LAYOUT = {
+  width: 2800,
+  minHeight: 1400,
+  padding: 60,
+  columnGap: 24,
+  titleFontSize: 48,
+  dayFontSize: 30,
+  timeFontSize: 18,
+  nameFontSize: 22,
+  titleGap: 90,       // title → day headers
+  dayGap: 56,         // day header → first show
+  timeLead: 26,       // time → show name gap
+  subLineLead: 26,    // between wrapped lines of a show name
+  showGap: 44,        // after show name block
+  minLineScale: 0.8,  // shrink a name line with an unbreakable word down to this factor before hyphenating
+  badgeBar: 4,        // colour accent left of a badged show's name, in the column gap
+  background: "black",
 };
 
 function servePSD(psdPath) {
@@ -78,179 +158,424 @@ function findTextLayer(layers, groupName) {
   return null;
 }
 
-function buildScheduleText(dayName, month, dayNum, shows) {
-  let text = `TODAY\r${dayName} ${month} ${dayNum}\r`;
+// Time lines in the schedule text: "10:00 AM/ET", "10:00–12:00 PM/ET", "11:00 AM–1:00 PM/CET",
+// dual zones (SECOND_TZ) as "10:00 AM ET / 4:00 PM CET", or 24-hour "14:00–16:00/ET".
+// AM/PM are the LOCALE's labels ("p.m." in Spanish).
+const escapeRegex = (s) => s.replace(/[.*+?^$()|[\]\\]/g, "\\$&");
+const PERIOD = TIME_PERIODS.length ? String.raw`\s+(?:${TIME_PERIODS.map(escapeRegex).join("|")})` : "";
+const CLOCK = String.raw`\d{1,2}:\d{2}(?:${PERIOD})?(?:–\d{1,2}:\d{2})?${PERIOD}`;
+const ZONE = String.raw`[A-Z][A-Za-z]*(?:[+-]\d{1,2}(?::\d{2})?)?`;
+const TIME_LINE = new RegExp(`^(?:${CLOCK}\\/${ZONE}|${CLOCK} ${ZONE}(?: \\/ ${CLOCK} ${ZONE})+)$`);
+
+// header: scheduleHeader() for the day — "TODAY", "TOMORROW", the weekday or the date, then the full date
+// ranges: print "10:00–12:00 PM/ET" instead of just the start time
+// pageLabel: "1/2" etc. when the lineup is split across images
+// notes: day-level annotations from rules.json, printed under the date
+function buildScheduleText(header, shows, ranges = false, pageLabel = "", notes = []) {
+  let text = `${header.title}\r${header.dateLine}${pageLabel ? "  " + pageLabel : ""}\r`;
+  for (const note of notes) text += `${note}\r`;
   text += "\r";
   for (let i = 0; i < shows.length; i++) {
-    const { time, name } = shows[i];
-    text += `${time}\r`;
-    text += `${name}`;
+    const { time, timeRange, name, note } = shows[i];
+    text += `${ranges ? timeRange : time}\r`;
+    text += note ? `${name} (${note})` : `${name}`;
     if (i < shows.length - 1) text += "\r\r";
   }
   return text;
 }
 
-const DAY_MAP = {
-  Sunday:    "sunday.psd",
-  Monday:    "monday.psd",
-  Tuesday:   "tuesday.psd",
-  Wednesday: "wednesday.psd",
-  Thursday:  "thursday.psd",
-  Friday:    "friday.psd",
-  Saturday:  "saturday.psd",
-};
+// Lay out one day column; returns positioned lines (and badge accent bars) and the column's total height
+function layoutWeekColumn(day, colW, ranges, badges) {
+  const L = WEEK_LAYOUT;
+  const items = [];
+  let y = 0;
+  items.push({ text: `${localDateInfo(day.date).weekday.toLocaleUpperCase(LOCALE)} ${day.dayNum}`, font: fontString(L.dayFontSize), y });
+  y += L.dayGap;
+  if (day.shows.length === 0) {
+    items.push({ text: WEEK_LABELS.noShows, font: fontString(L.timeFontSize), y });
+    y += L.timeLead;
+  }
+  for (const { time, timeRange, name, badges: types } of day.shows) {
+    items.push({ text: ranges ? timeRange : time, font: fontString(L.timeFontSize), y });
+    y += L.timeLead;
+    const accent = badgeStyles(types, badges)[0];
+    const block = layoutText(name, {
+      fontSize: L.nameFontSize,
+      maxWidth: colW,
+      lineHeight: L.subLineLead,
+      minFontSize: L.nameFontSize * L.minLineScale,
+    });
+    for (const box of block.lines) items.push({ text: box.text, font: box.font, y: y + box.y });
+    if (accent) items.push({ rect: [-L.badgeBar * 2, y, L.badgeBar, block.height - L.subLineLead + L.nameFontSize], color: accent.color });
+    y += block.height - L.subLineLead + L.showGap;
+  }
+  return { items, height: y };
+}
+
+/**
+ * Render a seven-column week graphic from fetchShowsRange() output.
+ * @param {object[]} days
+ * @param {boolean} [ranges] - print start–end times
+ * @returns {Buffer} PNG
+ */
+export function renderWeek(days, ranges = false) {
+  const L = WEEK_LAYOUT;
+  const colW = Math.floor((L.width - 2 * L.padding - (days.length - 1) * L.columnGap) / days.length);
+
+  // Measure first so the canvas grows to fit the busiest day
+  const badges = loadBadges();
+  const columns = days.map((day) => layoutWeekColumn(day, colW, ranges, badges));
+  const tallest = Math.max(...columns.map((c) => c.height));
+  const height = Math.max(L.minHeight, L.padding + L.titleGap + tallest + L.padding);
+
+  const weekCanvas = skiaCanvas(L.width, height);
+  const ctx = weekCanvas.getContext("2d");
+  ctx.fillStyle = L.background;
+  ctx.fillRect(0, 0, L.width, height);
+  ctx.fillStyle = "white";
+  ctx.textBaseline = "top";
 
-async function main() {
-  // CLI: node generate.js [date]
-  // date can be a day name ("Saturday") or YYYY-MM-DD ("2026-02-07")
-  const dateArg = process.argv[2];
+  const first = days[0];
+  const last = days[days.length - 1];
+  ctx.font = fontString(L.titleFontSize);
+  ctx.fillText(weekHeader(first.date, last.date).title, L.padding, L.padding);
+
+  columns.forEach((col, i) => {
+    const x = L.padding + i * (colW + L.columnGap);
+    for (const item of col.items) {
+      if (item.rect) {
+        const [dx, dy, w, h] = item.rect;
+        ctx.fillStyle = item.color;
+        ctx.fillRect(x + dx, L.padding + L.titleGap + dy, w, h);
+        ctx.fillStyle = "white";
+        continue;
+      }
+      ctx.font = item.font;
+      ctx.fillText(item.text, x, L.padding + L.titleGap + item.y);
+    }
+  });
+  console.log(`Week graphic rendered (${L.width}x${height}), tallest column=${tallest}`);
+  return weekCanvas.toBuffer("image/png");
+}
 
-  // Fetch shows from Google Calendar
-  const calData = await fetchShows(dateArg);
-  const { day: dayName, month, dayNum, shows } = calData;
+// Warning appended to Slack posts when the calendar could only be read from cache
+function staleWarning(stale) {
+  if (!stale) return "";
+  return `\n:warning: *Stale data:* the calendar was unreachable, so this uses the cached copy from ${formatTimestamp(stale)}.`;
+}
 
-  if (shows.length === 0) {
-    console.error(`No shows found for ${dayName} ${month} ${dayNum}. Check the calendar.`);
-    process.exit(1);
+// Throw (code PUBLISH_FAILED) if any destination failed; the others have already been published to
+function checkPublished(results = []) {
+  const failed = results.filter((r) => !r.ok);
+  if (failed.length === 0) return;
+  const err = new Error(`Publishing failed: ${failed.map((r) => `${r.name} (${r.error})`).join(", ")}`);
+  err.code = "PUBLISH_FAILED";
+  throw err;
+}
+
+// Step C: publish straight to SLACK_CHANNEL and the other destinations, or via a preview in REVIEW_CHANNEL when set.
+// Scheduled runs wait AUTO_APPROVE_MINUTES for a reviewer, then publish on their own.
+async function deliver(post, opts) {
+  if (!process.env.SLACK_BOT_TOKEN || !process.env.REVIEW_CHANNEL || opts.publish) {
+    checkPublished(await publish(post));
+    return;
+  }
+  const autoApproveMinutes = opts.scheduled ? Number(process.env.AUTO_APPROVE_MINUTES) || 0 : 0;
+  const id = await requestApproval(post, { autoApproveMinutes });
+  if (autoApproveMinutes) {
+    logStep("C", `Waiting up to ${autoApproveMinutes} min for review...`);
+    const status = await waitForApproval(id);
+    logStep("C", `Review finished: ${status}`, { status });
+    checkPublished(loadPending(id)?.failed);
   }
+}
 
-  const psdFile = DAY_MAP[dayName];
-  if (!psdFile) throw new Error("No PSD template for: " + dayName);
-  const psdPath = path.join(PSD_DIR, psdFile);
+// One headless Photopea kept open between renders; starting it is most of a render's time.
+// Callers must not use it concurrently (the bot and server go through queue.js).
+let photopea = null;
+
+function getPhotopea() {
+  if (!photopea) {
+    photopea = (async () => {
+      // B1. Start Photopea (loaded lazily so the Skia path never needs a browser)
+      const { default: HeadlessPhotopea } = await import("headlessphotopea");
+      const hp = new HeadlessPhotopea();
+      await hp.isInitialized();
+      logStep("B1", "Photopea ready");
+
+      // B2. Load font
+      const fontBuf = fs.readFileSync(path.join(__dirname, "fonts", "InputMonoNarrow-Regular.ttf"));
+      await hp.addBinaryAsset(fontBuf);
+      logStep("B2", "Font loaded");
+      return hp;
+    })();
+    photopea.catch(() => { photopea = null; });
+  }
+  return photopea;
+}
 
-  const scheduleText = buildScheduleText(dayName, month, dayNum, shows);
+/**
+ * Shut down the warm Photopea instance, if one was started.
+ */
+export async function closeRenderer() {
+  const starting = photopea;
+  photopea = null;
+  const hp = await starting?.catch(() => null);
+  if (hp) await hp.destroy();
+}
 
-  // --- Step A: Modify PSD text using ag-psd + @napi-rs/canvas ---
+// Write the modified PSD, open it in headless Photopea and export a PNG
+async function exportWithPhotopea(psd) {
+  // A5. Write modified PSD
+  const modifiedPsd = writePsd(psd);
+  const tmpPath = path.join(OUTPUT_DIR, "_modified.psd");
+  fs.writeFileSync(tmpPath, Buffer.from(modifiedPsd));
+  logStep("A5", "Modified PSD written");
 
-  // A1. Read PSD
-  const psdBuffer = fs.readFileSync(psdPath);
-  const psd = readPsd(psdBuffer);
-  console.log("A1. PSD read");
+  const hp = await getPhotopea().catch((e) => {
+    e.rendererStart = true;
+    throw e;
+  });
 
-  // A2. Find text layer
-  const artboard = psd.children?.[0];
-  const textLayer = findTextLayer(artboard.children || [], "SCHEDULE TEXT");
-  if (!textLayer) throw new Error("Text layer not found");
-  console.log("A2. Text layer found:", textLayer.text.text.substring(0, 40) + "...");
+  // B3. Open modified PSD
+  const { server, port } = await servePSD(tmpPath);
+  let pngResult;
+  try {
+    await hp.openFromURL(`http://127.0.0.1:${port}/file.psd`, false);
+    logStep("B3", "Modified PSD opened");
+
+    // B4. Export PNG, then close the document so the instance is clean for the next render
+    pngResult = await hp.runScript('app.activeDocument.saveToOE("png");');
+    await hp.runScript("app.activeDocument.close();");
+  } catch (e) {
+    await closeRenderer(); // start fresh next time rather than reuse a wedged browser
+    throw e;
+  } finally {
+    server.close();
+    fs.unlinkSync(tmpPath);
+  }
 
-  // A2b. Align logo with text left margin
-  const logoGroup = artboard.children?.find(l => l.name === "TLR LOGO");
-  const textLeftEdge = (textLayer.left || 0) + LAYOUT.xOffset;
-  if (logoGroup?.children) {
-    for (const child of logoGroup.children) {
-      const logoWidth = (child.right || 0) - (child.left || 0);
-      child.left = textLeftEdge;
-      child.right = textLeftEdge + logoWidth;
+  let pngBuffer;
+  for (const item of pngResult) {
+    if (item instanceof ArrayBuffer || Buffer.isBuffer(item)) {
+      pngBuffer = Buffer.from(item);
+      break;
+    }
+    if (typeof item === "string" && item !== "done" && item.length > 100) {
+      pngBuffer = Buffer.from(item, "base64");
+      break;
     }
-    console.log("  Logo aligned to x=" + textLeftEdge);
   }
 
-  // A2c. Move text layer up for more header space
-  textLayer.top = (textLayer.top || 231) - LAYOUT.textTopAdjust;
+  if (!pngBuffer) {
+    throw new Error("PNG export failed. Result types: " + pngResult.map(i => typeof i + ":" + String(i).length));
+  }
+  logStep("B4", "PNG exported from Photopea");
+  return pngBuffer;
+}
 
-  // A3. Update text descriptor
-  textLayer.text.text = scheduleText;
-  console.log("A3. Text descriptor updated");
+/**
+ * Fetch Monday–Sunday of the week containing weekArg (a date, "next", or omit for this week).
+ * @param {string} [weekArg]
+ * @returns {Promise<object[]>} fetchShowsRange() output
+ */
+export async function loadWeek(weekArg) {
+  const start = resolveWeekStart(weekArg);
+  const days = await fetchShowsRange(start, addDays(start, 6));
+  if (days.every((d) => d.shows.length === 0)) {
+    const err = new Error(`No shows found for the week of ${start}. Check the calendar.`);
+    err.code = "NO_SHOWS";
+    err.step = "calendar";
+    throw err;
+  }
+  return days;
+}
 
-  // A4. Render new text as bitmap with @napi-rs/canvas (Skia)
-  const w = Math.max((textLayer.right || 0) - (textLayer.left || 0), LAYOUT.minCanvasW);
-  const h = Math.max((textLayer.bottom || 0) - (textLayer.top || 0), LAYOUT.minCanvasH);
-  const textBitmap = skiaCanvas(w, h);
-  const ctx = textBitmap.getContext("2d");
-  ctx.fillStyle = "white";
-  ctx.textBaseline = "top";
-  const timeRegex = /^\d{1,2}:\d{2}\s+(AM|PM)\/ET$/;
-  const lines = scheduleText.split("\r");
-  const { xOffset, timeLead, nameLead, subLineLead, headerGap, timeFontSize, nameFontSize } = LAYOUT;
+// Slack comment for a day's image(s)
+export function dayComment(calData) {
+  return `Schedule for ${calData.day} ${calData.month} ${calData.dayNum}` + staleWarning(calData.stale);
+}
+
+// Slack comment for a week graphic
+export function weekComment(days) {
+  const first = days[0];
+  const last = days[days.length - 1];
+  return `Schedule for the week of ${first.month} ${first.dayNum} – ${last.month} ${last.dayNum}` + staleWarning(first.stale);
+}
+
+// CLI: node generate.js --week [date|next]
+// Renders Monday–Sunday of the week containing date (default: this week)
+async function mainWeek(weekArg, ranges, opts, args) {
+  const days = await runStep("calendar", () => loadWeek(weekArg));
+  const outPath = path.join(OUTPUT_DIR, "TEST_Week.png");
+  await runStep("A", () => fs.writeFileSync(outPath, renderWeek(days, ranges)));
+  logStep("B", `PNG exported: ${outPath}`, { file: outPath });
+
+  const first = days[0];
+  const filename = `Week_${first.month}_${first.dayNum}.png`;
+  const archived = await runStep("B6", () => archiveWeek(days, { file: outPath, filename }));
+  logStep("B6", `Archived: ${path.relative(__dirname, archived)}`);
+  await runStep("C", () => deliver({
+    date: first.date,
+    uploads: [{ file: outPath, filename }],
+    comment: weekComment(days),
+    archive: path.basename(archived),
+    args,
+  }, opts));
+}
+
+// CLI: node generate.js [date]
+// Renders every profile of one day, writes the exports and archive copy, then publishes
+async function mainDay(dateArg, ranges, opts, args) {
+  const renderer = resolveRenderer(opts.renderer);
+  const profiles = resolveProfiles(opts.profile);
+
+  // Fetch shows from Google Calendar
+  const calData = await runStep("calendar", () => fetchShows(dateArg));
+  const { day: dayName, month, dayNum, shows } = calData;
+
+  if (shows.length === 0) {
+    const err = new Error(`No shows found for ${dayName} ${month} ${dayNum}. Check the calendar.`);
+    err.code = "NO_SHOWS";
+    err.step = "calendar";
+    throw err;
+  }
+
+  const uploads = [];
+  for (const { png, filename, suffix } of await runStep("A", () => renderSchedule(calData, { profiles, renderer, ranges }))) {
+    const outPath = path.join(OUTPUT_DIR, `TEST_${dayName}${suffix}.png`);
+    fs.writeFileSync(outPath, png);
+    logStep("B", `PNG exported: ${outPath}`, { file: outPath });
+    uploads.push({ file: outPath, filename });
+  }
 
-  // Dynamic spacing — fixed inner gaps, pairGap flexes to fill available space
-  const numShows = lines.filter(l => timeRegex.test(l)).length;
+  // B5. Text, Markdown, JSON and .ics exports alongside the PNG
+  const exported = await runStep("B5", () => writeExports(calData, OUTPUT_DIR, `TEST_${dayName}`, { ranges }));
+  logStep("B5", `Exports written: ${exported.map(p => path.basename(p)).join(", ")}`);
 
-  // Estimate fixed vertical usage: header + per-show content
-  const headerCost = 10 + nameFontSize + nameLead + nameFontSize + headerGap;
-  const perShowCost = timeFontSize + timeLead + nameFontSize + nameLead;
-  const fixedUsage = headerCost + numShows * perShowCost;
+  // B6. Dated copy of the JSON and PNGs, since TEST_<day> files are overwritten a week later
+  const archived = await runStep("B6", () => archiveSchedule(calData, uploads));
+  logStep("B6", `Archived: ${path.relative(__dirname, archived)}`);
 
-  const pairSlots = Math.max(numShows - 1, 1);
-  const pairGap = Math.max(LAYOUT.minPairGap, Math.min(LAYOUT.maxPairGap, Math.round((LAYOUT.availableHeight - fixedUsage) / pairSlots)));
-  console.log(`  Spacing: ${numShows} shows, pairGap=${pairGap}, timeLead=${timeLead}, nameLead=${nameLead}`);
+  // --- Step C: Post to Slack ---
+  if (calData.stale) console.warn(`WARNING: Stale data — using calendar cached at ${calData.stale}`);
+  // Publishing snapshots what went out so the watcher can spot later calendar changes
+  await runStep("C", () => deliver({
+    date: calData.date,
+    uploads,
+    comment: dayComment(calData),
+    blocks: toSlackBlocks(calData, { ranges }),
+    calData,
+    archive: path.basename(archived),
+    replace: opts.replace,
+    args,
+  }, opts));
+}
+
+// Scale a layer's pixels (and mask) by `scale`, then shift by (dx, dy)
+function transformLayer(layer, scale, dx, dy) {
+  if (layer.children) {
+    for (const child of layer.children) transformLayer(child, scale, dx, dy);
+  }
+  for (const target of [layer, layer.mask]) {
+    if (!target || target.left === undefined) continue;
+    const left = Math.round(target.left * scale + dx);
+    const top = Math.round(target.top * scale + dy);
+    if (target.canvas) {
+      const width = Math.max(1, Math.round(target.canvas.width * scale));
+      const height = Math.max(1, Math.round(target.canvas.height * scale));
+      const scaled = skiaCanvas(width, height);
+      scaled.getContext("2d").drawImage(toSkia(target.canvas), 0, 0, width, height);
+      target.canvas = scaled;
+      target.right = left + width;
+      target.bottom = top + height;
+    } else {
+      target.right = Math.round(target.right * scale + dx);
+      target.bottom = Math.round(target.bottom * scale + dy);
+    }
+    target.left = left;
+    target.top = top;
+  }
+}
+
+// Reframe the PSD to a profile's size. Artwork is scaled to cover the new frame
+// (anchored top, centred horizontally); text and logo are placed by the profile layout instead.
+function fitPsdToProfile(psd, profile, keepLayers) {
+  if (psd.width === profile.width && psd.height === profile.height) return;
+  const scale = Math.max(profile.width / psd.width, profile.height / psd.height);
+  const dx = Math.round((profile.width - psd.width * scale) / 2);
+  for (const layer of psd.children || []) {
+    if (layer.artboard?.rect) {
+      layer.artboard.rect = { top: 0, left: 0, bottom: profile.height, right: profile.width };
+    }
+    for (const child of layer.children || []) {
+      if (!keepLayers.includes(child)) transformLayer(child, scale, dx, 0);
+    }
+  }
+  psd.width = profile.width;
+  psd.height = profile.height;
+  console.log(`  Reframed to ${profile.width}x${profile.height} (artwork scale ${scale.toFixed(2)})`);
+}
+
+// Scale font sizes and leading (never the min/max gap limits) by `scale`
+function scaledLayout(layout, scale) {
+  const scaled = { ...layout };
+  for (const key of ["timeFontSize", "nameFontSize", "timeLead", "nameLead", "subLineLead", "headerGap"]) {
+    scaled[key] = Math.round(layout[key] * scale);
+  }
+  return scaled;
+}
+
+// Lay out schedule lines with real wrapping; returns draw ops and the measured text height.
+// tags: badgeStyles() per show, in line order — drawn after the time, with an accent bar beside the name.
+// Ops are text ({ text, font, y, x?, color? }) or accent bars ({ rect: [x, y, w, h], color }).
+function layoutSchedule(lines, layout, w, pairGap, tags = []) {
+  const { xOffset, timeLead, nameLead, subLineLead, headerGap, timeFontSize, nameFontSize } = layout;
+  const maxWidth = w - xOffset - 20;
+  const ops = [];
+  let numShows = 0;
+  let overflowX = false;
 
   let y = 10;
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i];
-    const isTime = timeRegex.test(line);
+    const isTime = TIME_LINE.test(line);
     const isEmpty = line.trim() === "";
-
-    if (isTime) {
-      ctx.font = `${timeFontSize}px InputMono`;
-    } else {
-      ctx.font = `${nameFontSize}px InputMono`;
-    }
+    if (isTime) numShows++;
+    const showTags = numShows > 0 ? tags[numShows - 1] || [] : [];
 
     if (!isEmpty) {
-      const maxWidth = w - xOffset - 20;
-      if (!isTime) {
-        // Semantic break separators (case-insensitive, checked in order)
-        const semanticSeps = [" with ", " by ", " invites ", " (", ":"];
-        let remaining = line;
-        let first = true;
-        while (remaining.length > 0) {
-          if (!first) y += subLineLead;
-          if (ctx.measureText(remaining).width <= maxWidth) {
-            ctx.fillText(remaining, xOffset, y);
-            break;
-          }
-          // Try semantic breaks first
-          let breakIdx = -1;
-          let matchedSep = null;
-          const lower = remaining.toLowerCase();
-          for (const sep of semanticSeps) {
-            const idx = lower.indexOf(sep);
-            const keepOnLine1 = sep === ":" || sep === " invites ";
-            const checkEnd = keepOnLine1 ? idx + sep.length : idx;
-            if (idx > 0 && ctx.measureText(remaining.substring(0, checkEnd)).width <= maxWidth) {
-              breakIdx = idx;
-              matchedSep = sep;
-              break;
-            }
-          }
-          // Fall back to last space that fits
-          if (breakIdx < 0) {
-            for (let s = remaining.length - 1; s > 0; s--) {
-              if (remaining[s] === " " && ctx.measureText(remaining.substring(0, s)).width <= maxWidth) {
-                breakIdx = s;
-                break;
-              }
-            }
-          }
-          if (breakIdx > 0) {
-            if (matchedSep === " (") {
-              // Keep "(" on the next line
-              ctx.fillText(remaining.substring(0, breakIdx).trimEnd(), xOffset, y);
-              remaining = "(" + remaining.substring(breakIdx + 2).trimStart();
-            } else if (matchedSep === ":" || matchedSep === " invites ") {
-              // Keep separator on first line, rest on next line
-              const endIdx = breakIdx + matchedSep.length;
-              ctx.fillText(remaining.substring(0, endIdx).trimEnd(), xOffset, y);
-              remaining = remaining.substring(endIdx).trimStart();
-            } else {
-              ctx.fillText(remaining.substring(0, breakIdx).trimEnd(), xOffset, y);
-              remaining = remaining.substring(breakIdx + 1).trimStart();
-            }
-          } else {
-            ctx.fillText(remaining, xOffset, y);
-            break;
-          }
-          first = false;
+      const fontSize = isTime ? timeFontSize : nameFontSize;
+      const block = layoutText(line, {
+        fontSize,
+        maxWidth,
+        lineHeight: subLineLead,
+        minFontSize: fontSize * layout.minLineScale,
+        overflow: layout.overflow,
+        fonts: layout.fonts,
+        breaks: layout.breaks,
+        wrap: !isTime,
+      });
+      for (const box of block.lines) ops.push({ text: box.text, font: box.font, y: y + box.y, isTime });
+      if (block.overflow) overflowX = true;
+      if (isTime) {
+        // Tags that don't fit beside the time are left off rather than wrapped
+        let x = xOffset + block.width + layout.badgeGap;
+        for (const tag of showTags) {
+          const box = layoutText(tag.text, { fontSize, maxWidth, fonts: layout.fonts, wrap: false, overflow: "overflow" }).lines[0];
+          if (x + box.width > xOffset + maxWidth) break;
+          ops.push({ text: box.text, font: box.font, y, x, color: tag.color });
+          x += box.width + layout.badgeGap;
         }
-      } else {
-        ctx.fillText(line, xOffset, y);
+      } else if (showTags.length > 0) {
+        ops.push({ rect: [0, y, layout.badgeBar, block.height - subLineLead + fontSize], color: showTags[0].color });
       }
+      y += block.height - subLineLead; // top of the block's last line
     }
 
     // Variable leading (dynamic)
     if (i === 0) {
-      y += headerGap; // gap between "TODAY" and date line
+      y += headerGap; // gap between "TODAY" (or the weekday/date) and date line
     } else if (i === 1) {
       y += headerGap;
     } else if (isEmpty) {
@@ -261,82 +586,341 @@ async function main() {
       y += nameLead;
     }
   }
-  textLayer.canvas = textBitmap;
-  console.log("A4. Text bitmap rendered (" + w + "x" + h + "), textEndY=" + y);
+  return { ops, height: y, numShows, overflowX };
+}
+
+// Find the largest font scale (down to minFontScale) at which the lineup fits maxHeight.
+// pairGap then flexes between min/maxPairGap to fill availableHeight. Returns null if it can't fit.
+function fitSchedule(lines, tags, layout, w, maxHeight) {
+  for (let scale = 1; scale >= layout.minFontScale - 1e-9; scale -= layout.fontScaleStep) {
+    const L = scaledLayout(layout, scale);
+    const tight = layoutSchedule(lines, L, w, L.minPairGap, tags);
+    if (tight.height > maxHeight) continue;
+
+    const pairSlots = Math.max(tight.numShows - 1, 1);
+    const fixedUsage = tight.height - (tight.numShows - 1) * L.minPairGap;
+    const limit = Math.min(L.availableHeight, maxHeight);
+    const pairGap = Math.max(L.minPairGap, Math.min(L.maxPairGap, Math.floor((limit - fixedUsage) / pairSlots)));
+    return { layout: L, scale, pairGap, ...layoutSchedule(lines, L, w, pairGap, tags) };
+  }
+  return null;
+}
+
+// Split the lineup into as few evenly sized pages as fit; each page gets a "1/2" label
+function planPages(calData, layout, w, maxHeight, ranges) {
+  const { date, shows, notes } = calData;
+  const header = scheduleHeader(date);
+  const linesFor = (pageShows, label) => buildScheduleText(header, pageShows, ranges, label, notes).split("\r");
+  const badges = loadBadges();
+  const tagsFor = (pageShows) => pageShows.map((show) => badgeStyles(show.badges, badges));
+
+  const whole = fitSchedule(linesFor(shows), tagsFor(shows), layout, w, maxHeight);
+  if (whole) return [{ lines: linesFor(shows), fit: whole }];
+
+  for (let count = 2; count <= shows.length; count++) {
+    const perPage = Math.ceil(shows.length / count);
+    const pages = [];
+    for (let i = 0; i < shows.length; i += perPage) {
+      const label = `${pages.length + 1}/${Math.ceil(shows.length / perPage)}`;
+      const pageShows = shows.slice(i, i + perPage);
+      const lines = linesFor(pageShows, label);
+      pages.push({ lines, fit: fitSchedule(lines, tagsFor(pageShows), layout, w, maxHeight) });
+    }
+    if (pages.every((p) => p.fit)) {
+      console.log(`  Lineup too long for one image, split into ${pages.length} pages`);
+      return pages;
+    }
+  }
+
+  // Even one show per page doesn't fit — render at the smallest size and say so loudly
+  console.warn("WARNING: a single show is taller than the text area; it will overlap the logo");
+  const smallest = scaledLayout(layout, layout.minFontScale);
+  return shows.map((show, i) => {
+    const lines = linesFor([show], `${i + 1}/${shows.length}`);
+    return { lines, fit: { layout: smallest, scale: layout.minFontScale, pairGap: smallest.minPairGap, ...layoutSchedule(lines, smallest, w, smallest.minPairGap, tagsFor([show])) } };
+  });
+}
+
+// Read the template and place artwork, text layer and logo for a profile (text not yet drawn)
+// The schedule text layer, the top-level group holding it, and the logo group, named by the template's layers
+function findTemplateLayers(psd, layers) {
+  const artboard = psd.children?.[0];
+  const children = artboard?.children || [];
+  const textLayer = findTextLayer(children, layers.text);
+  const textGroup = children.find(l => l === textLayer || findTextLayer([l], layers.text) === textLayer);
+  const logoGroup = children.find(l => l.name === layers.logo);
+  return { artboard, textLayer, textGroup, logoGroup };
+}
 
-  // A4b. Logo: keep at original position, only push down if text is too close
-  const textAbsoluteBottom = (textLayer.top || 201) + y;
-  const logoTargetTop = Math.max(LAYOUT.logoDefaultTop, textAbsoluteBottom + LAYOUT.logoMinGap);
+function preparePsd(psdBuffer, profile, layout, layers) {
+  // A1. Read PSD
+  const psd = readPsd(psdBuffer);
+  logStep("A1", "PSD read");
+
+  // A2. Find text layer
+  const { textLayer, textGroup, logoGroup } = findTemplateLayers(psd, layers);
+  if (!textLayer) throw new Error(`Text layer "${layers.text}" not found`);
+  logStep("A2", `Text layer found: ${textLayer.text.text.substring(0, 40)}...`);
+
+  // A2a. Fit artwork to the profile's frame (text group and logo are positioned below)
+  fitPsdToProfile(psd, profile, [textGroup, logoGroup]);
+
+  // A2b. Align logo with text left margin (or pin it to the right edge)
+  const textLeftEdge = (textLayer.left || 0) + layout.xOffset;
+  let logoHeight = 0;
   if (logoGroup?.children) {
     for (const child of logoGroup.children) {
-      const logoHeight = (child.bottom || 0) - (child.top || 0);
-      child.top = logoTargetTop;
-      child.bottom = child.top + logoHeight;
+      const logoWidth = (child.right || 0) - (child.left || 0);
+      child.left = layout.logoAlign === "right" ? psd.width - layout.logoMargin - logoWidth : textLeftEdge;
+      child.right = child.left + logoWidth;
+      logoHeight = Math.max(logoHeight, (child.bottom || 0) - (child.top || 0));
     }
+    console.log("  Logo aligned to x=" + logoGroup.children[0]?.left);
   }
-  console.log(`  Logo: textBottom=${textAbsoluteBottom}, placed at top=${logoTargetTop}`);
 
-  // A5. Write modified PSD
-  const modifiedPsd = writePsd(psd);
-  const tmpPath = path.join(OUTPUT_DIR, "_modified.psd");
-  fs.writeFileSync(tmpPath, Buffer.from(modifiedPsd));
-  console.log("A5. Modified PSD written");
-
-  // --- Step B: Open in Photopea + export PNG ---
+  // A2c. Move text layer up for more header space
+  textLayer.top = (textLayer.top || 231) - layout.textTopAdjust;
 
-  // B1. Start Photopea
-  const hp = new HeadlessPhotopea();
-  await hp.isInitialized();
-  console.log("B1. Photopea ready");
+  const w = Math.max((textLayer.right || 0) - (textLayer.left || 0), layout.minCanvasW);
+  // Text may push the logo down, but the logo must stay on the artboard
+  const reserved = layout.logoAlign === "right" ? 0 : layout.logoMinGap + logoHeight;
+  const maxHeight = psd.height - layout.bottomMargin - reserved - textLayer.top;
 
-  // B2. Load font
-  const fontBuf = fs.readFileSync(path.join(__dirname, "fonts", "InputMonoNarrow-Regular.ttf"));
-  await hp.addBinaryAsset(fontBuf);
-  console.log("B2. Font loaded");
+  return { psd, textLayer, logoGroup, w, maxHeight };
+}
 
-  // B3. Open modified PSD
-  const { server, port } = await servePSD(tmpPath);
-  await hp.openFromURL(`http://127.0.0.1:${port}/file.psd`, false);
-  console.log("B3. Modified PSD opened");
+// Render one profile of a day's schedule from the template PSD (loadTemplate() result).
+// Layout is LAYOUT, then the profile's overrides, then the template's (all profiles, then this one).
+// Returns one PNG per page — more than one only when the lineup can't fit a single image.
+async function renderProfile({ template, psdBuffer }, calData, profileName, renderer, ranges) {
+  const profile = PROFILES[profileName];
+  const layout = { ...LAYOUT, ...profile.layout, ...template.layout, ...template.profiles[profileName] };
 
-  // B4. Export PNG
-  const pngResult = await hp.runScript('app.activeDocument.saveToOE("png");');
-  let pngBuffer;
-  for (const item of pngResult) {
-    if (item instanceof ArrayBuffer || Buffer.isBuffer(item)) {
-      pngBuffer = Buffer.from(item);
-      break;
+  // --- Step A: Modify PSD text using ag-psd + @napi-rs/canvas ---
+  let prepared = preparePsd(psdBuffer, profile, layout, template.layers);
+  const pages = planPages(calData, layout, prepared.w, prepared.maxHeight, ranges);
+
+  const pngs = [];
+  for (let p = 0; p < pages.length; p++) {
+    if (p > 0) prepared = preparePsd(psdBuffer, profile, layout, template.layers);
+    const { psd, textLayer, logoGroup, w } = prepared;
+    const { lines, fit } = pages[p];
+    if (pages.length > 1) console.log(`  Page ${p + 1}/${pages.length}`);
+
+    // A3. Update text descriptor
+    textLayer.text.text = lines.join("\r");
+    logStep("A3", "Text descriptor updated");
+
+    // A4. Render new text as bitmap with @napi-rs/canvas (Skia)
+    const h = Math.max((textLayer.bottom || 0) - (textLayer.top || 0), layout.minCanvasH, fit.height + 20);
+    const textBitmap = skiaCanvas(w, h);
+    const ctx = textBitmap.getContext("2d");
+    ctx.textBaseline = "top";
+    const { colors } = template;
+    for (const op of fit.ops) {
+      ctx.fillStyle = op.color || (op.isTime ? colors.time || colors.text : colors.text);
+      if (op.rect) {
+        ctx.fillRect(...op.rect);
+        continue;
+      }
+      ctx.font = op.font;
+      ctx.fillText(op.text, op.x ?? fit.layout.xOffset, op.y);
     }
-    if (typeof item === "string" && item !== "done" && item.length > 100) {
-      pngBuffer = Buffer.from(item, "base64");
-      break;
+    const { timeLead, nameLead } = fit.layout;
+    console.log(`  Spacing: ${fit.numShows} shows, scale=${fit.scale.toFixed(2)}, pairGap=${fit.pairGap}, timeLead=${timeLead}, nameLead=${nameLead}`);
+    if (fit.overflowX) console.warn("WARNING: a line is wider than the text area and will run past the margin");
+    textLayer.canvas = textBitmap;
+    logStep("A4", `Text bitmap rendered (${w}x${h}), textEndY=${fit.height}`, { width: w, height: h, scale: fit.scale, pages: pages.length, overflow: fit.overflowX });
+
+    // A4b. Logo: keep at original position, only push down if text is too close
+    // (right-aligned logos sit beside the text, so they never move)
+    const textAbsoluteBottom = (textLayer.top || 201) + fit.height;
+    const logoTargetTop = layout.logoAlign === "right"
+      ? layout.logoDefaultTop
+      : Math.max(layout.logoDefaultTop, textAbsoluteBottom + layout.logoMinGap);
+    if (logoGroup?.children) {
+      for (const child of logoGroup.children) {
+        const logoHeight = (child.bottom || 0) - (child.top || 0);
+        child.top = logoTargetTop;
+        child.bottom = child.top + logoHeight;
+      }
     }
+    console.log(`  Logo: textBottom=${textAbsoluteBottom}, placed at top=${logoTargetTop}`);
+
+    // --- Step B: Flatten to PNG (Skia, or Photopea as fallback) ---
+    pngs.push(await flattenPage(psd, renderer));
   }
-  if (!pngBuffer) {
-    await hp.destroy();
-    server.close();
-    fs.unlinkSync(tmpPath);
-    throw new Error("PNG export failed. Result types: " + pngResult.map(i => typeof i + ":" + String(i).length));
+  return pngs;
+}
+
+async function flattenPage(psd, renderer) {
+  if (renderer === "skia") {
+    try {
+      const pngBuffer = await flattenPsd(psd);
+      logStep("B", "PSD flattened with Skia");
+      return pngBuffer;
+    } catch (e) {
+      logStep("B", `Skia render failed, falling back to Photopea: ${e.message}`, { error: e.message }, "error");
+    }
   }
-  const outPath = path.join(OUTPUT_DIR, `TEST_${dayName}.png`);
-  fs.writeFileSync(outPath, pngBuffer);
-  console.log("B4. PNG exported:", outPath);
+  // Only a browser that wouldn't start or a timeout is worth another go; each failed attempt closes
+  // the browser, so a retry starts from a fresh Photopea. A PSD Photopea can't export fails every time.
+  return withRetry("Photopea export", () => exportWithPhotopea(psd), {
+    retryable: (e) => e.rendererStart || isTransient(e),
+  });
+}
 
-  await hp.destroy();
-  server.close();
-  fs.unlinkSync(tmpPath);
+// Renderer from the CLI/env: Skia flattens the PSD in-process; Photopea is the original browser path
+function resolveRenderer(name) {
+  const renderer = name || process.env.RENDERER || "photopea";
+  if (renderer !== "skia" && renderer !== "photopea") throw new Error("Unknown renderer: " + renderer);
+  return renderer;
+}
 
-  // --- Step C: Post to Slack ---
-  if (process.env.SLACK_BOT_TOKEN && process.env.SLACK_CHANNEL) {
-    const slack = new WebClient(process.env.SLACK_BOT_TOKEN);
-    await slack.filesUploadV2({
-      channel_id: process.env.SLACK_CHANNEL,
-      file: outPath,
-      filename: `${dayName}_${month}_${dayNum}.png`,
-      initial_comment: `Schedule for ${dayName} ${month} ${dayNum}`,
-    });
-    console.log("C. Posted to Slack");
+// Profile names accepted by renderDay() and renderSchedule()
+export const PROFILE_NAMES = Object.keys(PROFILES);
+
+// Profile list from --profile / PROFILES: "story,square" or "all"
+function resolveProfiles(arg) {
+  const profileArg = arg || process.env.PROFILES || "story";
+  return profileArg === "all" ? PROFILE_NAMES : profileArg.split(",").map(p => p.trim());
+}
+
+// Template for a day (templates.json), or the one given, and its PSD
+function loadTemplate(calData, chosen) {
+  const template = chosen || resolveTemplate(calData);
+  console.log(`Template: ${template.name} (${template.psd})`);
+  return { template, psdBuffer: fs.readFileSync(path.join(TEMPLATE_DIR, template.psd)) };
+}
+
+/**
+ * Render one profile of a day's schedule in-process (used by the HTTP server).
+ * @param {object} calData - fetchShows() result
+ * @param {{ profile?: string, renderer?: string, ranges?: boolean }} [opts]
+ * @returns {Promise<Buffer[]>} One PNG per page
+ */
+export async function renderDay(calData, opts = {}) {
+  const profileName = opts.profile || "story";
+  if (!PROFILES[profileName]) throw new Error(`Unknown profile: ${profileName}. Use ${Object.keys(PROFILES).join(", ")}.`);
+  return renderProfile(loadTemplate(calData), calData, profileName, resolveRenderer(opts.renderer), opts.ranges);
+}
+
+// Bounds of a layer, or the union of a group's children
+function layerBounds(layer) {
+  if (!layer) return null;
+  if (!layer.children) return { left: layer.left || 0, top: layer.top || 0, right: layer.right || 0, bottom: layer.bottom || 0 };
+  const boxes = layer.children.map(layerBounds).filter(Boolean);
+  if (boxes.length === 0) return null;
+  return {
+    left: Math.min(...boxes.map(b => b.left)),
+    top: Math.min(...boxes.map(b => b.top)),
+    right: Math.max(...boxes.map(b => b.right)),
+    bottom: Math.max(...boxes.map(b => b.bottom)),
+  };
+}
+
+/**
+ * Load a template's PSD and check the layers rendering depends on.
+ * @param {object} template - with defaults filled in (templates.js withDefaults())
+ * @returns {{ width: number, height: number, text: object|null, logo: object|null, problems: string[] }}
+ *   Bounds are { left, top, right, bottom } in document pixels
+ */
+export function inspectTemplate(template) {
+  const psd = readPsd(fs.readFileSync(path.join(TEMPLATE_DIR, template.psd)));
+  const { artboard, textLayer, logoGroup } = findTemplateLayers(psd, template.layers);
+  const problems = [];
+  if (!artboard?.children) problems.push("No artboard: the first layer should be the artboard holding the artwork");
+  if (!textLayer) problems.push(`Text layer "${template.layers.text}" not found`);
+  if (!logoGroup) problems.push(`Logo group "${template.layers.logo}" not found`);
+  else if (!logoGroup.children?.length) problems.push(`Logo group "${template.layers.logo}" is empty`);
+  return { width: psd.width, height: psd.height, text: layerBounds(textLayer), logo: layerBounds(logoGroup), problems };
+}
+
+/**
+ * File name of one rendered page: "Saturday_February_14.png", "Saturday_February_14_square_1of2.png".
+ * The story profile keeps the original file names; pages get a "_1of2" suffix.
+ * @param {object} calData - fetchShows() result
+ * @param {string} profileName
+ * @param {number} page - 0-based
+ * @param {number} pages
+ * @returns {{ filename: string, suffix: string }}
+ */
+export function imageName({ day, month, dayNum }, profileName, page, pages) {
+  const suffix = (profileName === "story" ? "" : `_${profileName}`) + (pages > 1 ? `_${page + 1}of${pages}` : "");
+  return { filename: `${day}_${month}_${dayNum}${suffix}.png`, suffix };
+}
+
+/**
+ * Render every requested profile of a day's schedule.
+ * @param {object} calData - fetchShows() result
+ * @param {{ profiles?: string[], renderer?: string, ranges?: boolean, template?: object }} [opts]
+ *   profiles default to PROFILES; template (with defaults filled in) skips templates.json selection
+ * @returns {Promise<Array<{ png: Buffer, filename: string, suffix: string, profile: string }>>} One entry per profile page
+ */
+export async function renderSchedule(calData, opts = {}) {
+  const profileNames = opts.profiles || resolveProfiles();
+  for (const name of profileNames) {
+    if (!PROFILES[name]) throw new Error(`Unknown profile: ${name}. Use ${PROFILE_NAMES.join(", ")} or all.`);
   }
+  const renderer = resolveRenderer(opts.renderer);
+  const source = loadTemplate(calData, opts.template);
+
+  const images = [];
+  for (const name of profileNames) {
+    console.log(`--- Profile: ${name} (${PROFILES[name].width}x${PROFILES[name].height}) ---`);
+    const pngs = await renderProfile(source, calData, name, renderer, opts.ranges);
+    for (let p = 0; p < pngs.length; p++) {
+      images.push({ png: pngs[p], ...imageName(calData, name, p, pngs.length), profile: name });
+    }
+  }
+  return images;
+}
+
+/**
+ * Run generate.js with CLI arguments (also called in-process by the bot).
+ * @param {string[]} [args]
+ */
+export async function run(args = process.argv.slice(2)) {
+  // CLI: node generate.js [date] [--renderer=skia|photopea] [--profile=story,square,banner|all] [--ranges] [--replace]
+  // date can be a day name ("Saturday"), "tomorrow" or YYYY-MM-DD ("2026-02-07")
+  // --replace deletes the previous Slack post for that date after posting the new one
+  // --publish skips the REVIEW_CHANNEL preview; --scheduled enables AUTO_APPROVE_MINUTES
+  const { values: opts, positionals } = parseArgs({
+    args,
+    options: {
+      week: { type: "boolean" },
+      renderer: { type: "string" },
+      profile: { type: "string" },
+      ranges: { type: "boolean" },
+      replace: { type: "boolean" },
+      publish: { type: "boolean" },
+      scheduled: { type: "boolean" },
+    },
+    allowPositionals: true,
+  });
+  // Show end times ("10:00–12:00 PM/ET") on the graphic and exports
+  const ranges = opts.ranges || process.env.SHOW_END_TIMES === "true";
+
+  // Every step is logged to output/logs/ under one run id; errors carry the step they failed in (err.step) and the run (err.run)
+  await withRun("generate", args, async () => {
+    if (opts.week) await mainWeek(positionals[0], ranges, opts, args);
+    else await mainDay(positionals[0], ranges, opts, args);
+  });
 }
 
-main().catch(e => console.error(e));
+// Only run the CLI when executed directly, not when imported by the bot or server.
+// Exit codes are ops.js EXIT: 1 a step failed, 2 no shows, 3 a destination didn't publish.
+// Scheduled runs also alert OPS_CHANNEL, since nobody watches their log.
+if (process.argv[1] === __filename) {
+  const args = process.argv.slice(2);
+  run(args)
+    .catch(async (e) => {
+      console.error(e.message);
+      process.exitCode = exitCodeFor(e);
+      if (!args.includes("--scheduled")) return;
+      const details = `\`node generate.js ${args.join(" ")}\``;
+      if (e.code === "NO_SHOWS") await alertOps("warning", "No shows found, nothing was posted", { step: e.step, error: e.message, details, run: e.run });
+      else await alertOps("error", "Scheduled run failed", { step: e.step, error: e.code ? e.message : e.stack || e.message, details, run: e.run });
+    })
+    .finally(closeRenderer);
+}
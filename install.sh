@@ -24,8 +24,26 @@ cd "$SCRIPT_DIR"
 npm install --production
 echo ""
 
-# 3. Create daily cron (launchd) — runs at 9 AM every day
-echo "Setting up daily schedule (9 AM)..."
+# 3. Linux: systemd user units for the scheduler and the bot
+if [ "$(uname)" != "Darwin" ]; then
+  echo "Setting up systemd services..."
+  "$NODE_PATH" "$SCRIPT_DIR/scheduler.js" systemd
+  systemctl --user daemon-reload
+  systemctl --user enable --now lotradio-scheduler.service lotradio-bot.service
+  loginctl enable-linger "$USER" 2>/dev/null || echo "  (run 'loginctl enable-linger $USER' to keep them running after logout)"
+  echo ""
+  echo "=== Done! ==="
+  echo "  Jobs: $SCRIPT_DIR/jobs.json (see jobs.sample.json; default is the daily post at 9 AM)"
+  echo "  Status: node scheduler.js list"
+  echo "  Logs: $SCRIPT_DIR/output/cron.log"
+  echo "        $SCRIPT_DIR/output/bot.log"
+  echo ""
+  echo "  To uninstall: bash $SCRIPT_DIR/uninstall.sh"
+  exit 0
+fi
+
+# 4. macOS: scheduler daemon (launchd) — runs the jobs in jobs.json, by default the daily post at 9 AM
+echo "Setting up scheduler daemon..."
 mkdir -p "$PLIST_DIR"
 
 cat > "$PLIST_DIR/$PLIST_LABEL.plist" << EOF
@@ -38,17 +56,14 @@ cat > "$PLIST_DIR/$PLIST_LABEL.plist" << EOF
   <key>ProgramArguments</key>
   <array>
     <string>$NODE_PATH</string>
-    <string>$SCRIPT_DIR/generate.js</string>
+    <string>$SCRIPT_DIR/scheduler.js</string>
   </array>
   <key>WorkingDirectory</key>
   <string>$SCRIPT_DIR</string>
-  <key>StartCalendarInterval</key>
-  <dict>
-    <key>Hour</key>
-    <integer>9</integer>
-    <key>Minute</key>
-    <integer>0</integer>
-  </dict>
+  <key>RunAtLoad</key>
+  <true/>
+  <key>KeepAlive</key>
+  <true/>
   <key>StandardOutPath</key>
   <string>$SCRIPT_DIR/output/cron.log</string>
   <key>StandardErrorPath</key>
@@ -65,9 +80,9 @@ EOF
 # Unload if already loaded, then load
 launchctl unload "$PLIST_DIR/$PLIST_LABEL.plist" 2>/dev/null || true
 launchctl load "$PLIST_DIR/$PLIST_LABEL.plist"
-echo "  Daily cron loaded: $PLIST_LABEL (9 AM)"
+echo "  Scheduler loaded: $PLIST_LABEL (jobs.json)"
 
-# 4. Set up Slack bot daemon
+# 5. Set up Slack bot daemon
 echo "Setting up Slack bot daemon..."
 
 cat > "$PLIST_DIR/$BOT_LABEL.plist" << EOF
@@ -107,7 +122,7 @@ echo "  Bot daemon loaded: $BOT_LABEL (always running)"
 
 echo ""
 echo "=== Done! ==="
-echo "  Daily schedule: generates and posts to Slack at 9 AM"
+echo "  Scheduler: runs the jobs in jobs.json (default: daily post at 9 AM); node scheduler.js list"
 echo "  Bot: listens in Slack for day names (e.g. 'Monday', 'tomorrow', '2026-02-10')"
 echo ""
 echo "  Logs: $SCRIPT_DIR/output/cron.log"
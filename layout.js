@@ -0,0 +1,248 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createCanvas, GlobalFonts } from "@napi-rs/canvas";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FONT_DIR = path.join(__dirname, "fonts");
+
+// InputMonoNarrow is registered as "InputMono"; any other font dropped into fonts/ registers under its own family name
+for (const file of fs.readdirSync(FONT_DIR)) {
+  if (!/\.(ttf|otf|ttc|woff2?)$/i.test(file)) continue;
+  GlobalFonts.registerFromPath(path.join(FONT_DIR, file), file === "InputMonoNarrow-Regular.ttf" ? "InputMono" : undefined);
+}
+
+/**
+ * Font families tried in order for each character, so emoji, accented and CJK names don't render as tofu.
+ * Families that aren't installed are skipped; the list covers both Linux (Noto) and macOS system fonts.
+ */
+export const FONT_STACK = (process.env.FONT_STACK || "InputMono,Noto Sans,Noto Sans CJK JP,Hiragino Sans,Noto Color Emoji,Apple Color Emoji,DejaVu Sans")
+  .split(",")
+  .map((f) => f.trim())
+  .filter(Boolean);
+
+/**
+ * @typedef {object} BreakRule
+ * @property {string} text - Separator, matched case-insensitively (e.g. " with ")
+ * @property {"before"|"after"} at - Start the next line with the separator, or end this line with it
+ */
+
+// Preferred places to wrap a show name, in priority order; the last space that fits comes after these
+export const DEFAULT_BREAKS = [
+  { text: " with ", at: "before" },
+  { text: " by ", at: "before" },
+  { text: " invites ", at: "after" },
+  { text: " (", at: "before" },
+  { text: ":", at: "after" },
+];
+
+const measureCtx = createCanvas(1, 1).getContext("2d");
+const graphemes = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+const missingWarned = new Set();
+
+/**
+ * CSS font shorthand for a size and family stack, without families that aren't installed.
+ * @param {number} size - px
+ * @param {string[]} [fonts]
+ */
+export function fontString(size, fonts = FONT_STACK) {
+  const available = fonts.filter((family) => {
+    if (GlobalFonts.has(family)) return true;
+    if (fonts[0] === family && !missingWarned.has(family)) {
+      missingWarned.add(family);
+      console.warn(`WARNING: Font "${family}" is not installed, using the next font in the stack`);
+    }
+    return false;
+  });
+  return `${size}px ${(available.length ? available : ["sans-serif"]).map((f) => `"${f}"`).join(", ")}`;
+}
+
+/**
+ * Split text into lines that fit maxWidth with the context's current font.
+ * Tries the break rules in order, then the last space that fits, then the last hyphen or slash that fits.
+ * A word that fits nowhere gets a line of its own (and overflows; see layoutText).
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} text
+ * @param {number} maxWidth
+ * @param {BreakRule[]} [breaks]
+ * @returns {string[]}
+ */
+export function wrapText(ctx, text, maxWidth, breaks = DEFAULT_BREAKS) {
+  const fits = (s) => ctx.measureText(s).width <= maxWidth;
+  const out = [];
+  let remaining = text.trim();
+  while (remaining.length > 0) {
+    if (fits(remaining)) {
+      out.push(remaining);
+      break;
+    }
+
+    // [end of this line, start of the next]
+    let cut = null;
+    const lower = remaining.toLowerCase();
+    for (const rule of breaks) {
+      const idx = lower.indexOf(rule.text.toLowerCase());
+      if (idx <= 0) continue;
+      const end = rule.at === "after" ? idx + rule.text.length : idx;
+      if (fits(remaining.substring(0, end))) {
+        cut = [end, end];
+        break;
+      }
+    }
+    for (let s = remaining.length - 1; !cut && s > 0; s--) {
+      if (remaining[s] === " " && fits(remaining.substring(0, s))) cut = [s, s + 1];
+    }
+    for (let s = remaining.length - 1; !cut && s > 0; s--) {
+      if ((remaining[s - 1] === "-" || remaining[s - 1] === "/") && fits(remaining.substring(0, s))) cut = [s, s];
+    }
+    if (!cut) {
+      const space = remaining.indexOf(" ");
+      if (space <= 0) {
+        out.push(remaining);
+        break;
+      }
+      cut = [space, space + 1];
+    }
+    out.push(remaining.substring(0, cut[0]).trimEnd());
+    remaining = remaining.substring(cut[1]).trimStart();
+  }
+  return out;
+}
+
+// Longest grapheme prefix that fits with `suffix` appended; [head, tail], or null if not even one fits
+function splitToFit(ctx, text, maxWidth, suffix) {
+  const parts = [...graphemes.segment(text)].map((s) => s.segment);
+  for (let n = parts.length - 1; n > 0; n--) {
+    const head = parts.slice(0, n).join("").trimEnd();
+    if (head && ctx.measureText(head + suffix).width <= maxWidth) return [head, parts.slice(n).join("").trimStart()];
+  }
+  return null;
+}
+
+// Largest whole font size, down to minSize, at which text fits maxWidth; null if none
+function shrinkToFit(ctx, text, maxWidth, size, minSize, fonts) {
+  for (let s = size - 1; s >= minSize; s--) {
+    ctx.font = fontString(s, fonts);
+    if (ctx.measureText(text).width <= maxWidth) return s;
+  }
+  return null;
+}
+
+/**
+ * @typedef {object} LineBox
+ * @property {string} text
+ * @property {string} font - CSS font shorthand to draw it with
+ * @property {number} fontSize - px; smaller than requested when the line was shrunk to fit
+ * @property {number} x
+ * @property {number} y - top of the line, relative to the block
+ * @property {number} width - measured advance width
+ * @property {number} height - the line height
+ * @property {number} ascent - ink above the top baseline, as measured
+ * @property {number} descent - ink below the baseline, as measured
+ * @property {boolean} shrunk
+ * @property {boolean} hyphenated - the line ends in a hyphen added to split a long word
+ * @property {boolean} truncated - the line was cut short with an ellipsis
+ * @property {boolean} overflow - still wider than maxWidth
+ */
+
+/**
+ * @typedef {object} TextLayout
+ * @property {LineBox[]} lines
+ * @property {number} width - widest line
+ * @property {number} height - lines × lineHeight
+ * @property {boolean} overflow - some line is wider than maxWidth
+ */
+
+/**
+ * Wrap and measure a block of text.
+ * A line that still doesn't fit after wrapping (one long word) is first shrunk, down to minFontSize;
+ * if that isn't enough it's hyphenated across lines or cut with an ellipsis at the full size.
+ * @param {string} text
+ * @param {object} opts
+ * @param {number} opts.fontSize - px
+ * @param {number} opts.maxWidth - px
+ * @param {number} [opts.lineHeight] - distance between line tops (default fontSize)
+ * @param {number} [opts.minFontSize] - per-line shrink floor (default fontSize: no shrinking)
+ * @param {"hyphenate"|"ellipsis"|"overflow"} [opts.overflow] - what to do with a word that can't fit (default hyphenate)
+ * @param {string[]} [opts.fonts] - family stack (default FONT_STACK)
+ * @param {BreakRule[]} [opts.breaks] - preferred break points (default DEFAULT_BREAKS)
+ * @param {boolean} [opts.wrap] - false keeps the text on one line (still shrunk or cut to fit)
+ * @returns {TextLayout}
+ */
+export function layoutText(text, opts) {
+  const {
+    fontSize,
+    maxWidth,
+    lineHeight = fontSize,
+    minFontSize = fontSize,
+    overflow = "hyphenate",
+    fonts = FONT_STACK,
+    breaks = DEFAULT_BREAKS,
+    wrap = true,
+  } = opts;
+  const ctx = measureCtx;
+  const font = fontString(fontSize, fonts);
+  const split = (s) => {
+    ctx.font = font;
+    return wrap ? wrapText(ctx, s, maxWidth, breaks) : [s];
+  };
+
+  const pending = split(text);
+  const placed = [];
+  while (pending.length > 0) {
+    const line = pending.shift();
+    ctx.font = font;
+    if (ctx.measureText(line).width <= maxWidth) {
+      placed.push({ text: line, fontSize });
+      continue;
+    }
+
+    const size = shrinkToFit(ctx, line, maxWidth, fontSize, Math.ceil(minFontSize), fonts);
+    if (size) {
+      placed.push({ text: line, fontSize: size, shrunk: true });
+      continue;
+    }
+
+    ctx.font = font;
+    const cut = overflow === "hyphenate" ? splitToFit(ctx, line, maxWidth, "-")
+      : overflow === "ellipsis" ? splitToFit(ctx, line, maxWidth, "…")
+      : null;
+    if (!cut) {
+      placed.push({ text: line, fontSize });
+    } else if (overflow === "hyphenate") {
+      placed.push({ text: cut[0] + "-", fontSize, hyphenated: true });
+      pending.unshift(...split(cut[1]));
+    } else {
+      placed.push({ text: cut[0] + "…", fontSize, truncated: true });
+      // Drop the rest of the word but keep whatever followed it
+      const next = cut[1].indexOf(" ");
+      if (wrap && next !== -1) pending.unshift(...split(cut[1].substring(next + 1)));
+    }
+  }
+
+  const lines = placed.map((p, i) => {
+    ctx.font = fontString(p.fontSize, fonts);
+    const m = ctx.measureText(p.text);
+    return {
+      text: p.text,
+      font: ctx.font,
+      fontSize: p.fontSize,
+      x: 0,
+      y: i * lineHeight,
+      width: m.width,
+      height: lineHeight,
+      ascent: m.actualBoundingBoxAscent,
+      descent: m.actualBoundingBoxDescent,
+      shrunk: Boolean(p.shrunk),
+      hyphenated: Boolean(p.hyphenated),
+      truncated: Boolean(p.truncated),
+      overflow: m.width > maxWidth,
+    };
+  });
+  return {
+    lines,
+    width: Math.max(0, ...lines.map((l) => l.width)),
+    height: lines.length * lineHeight,
+    overflow: lines.some((l) => l.overflow),
+  };
+}
@@ -0,0 +1,177 @@
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { WebClient } from "@slack/web-api";
+import { fetchShowsRange, resolveTargetDate, addDays, formatTimestamp } from "./calendar.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const REMINDERS_FILE = path.join(__dirname, "output", "reminders.json");
+const REMINDER_MINUTES = Number(process.env.REMINDER_MINUTES) || 15;
+
+const MINUTE = 60 * 1000;
+const clock = (date) => formatTimestamp(date, { hour: "numeric", minute: "2-digit" });
+
+// "45 min", "1 h", "2 h 5 min"
+function minutesLabel(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  if (h === 0) return `${m} min`;
+  return m ? `${h} h ${m} min` : `${h} h`;
+}
+
+/**
+ * Shows from yesterday to tomorrow (so overnight and after-midnight shows are covered), in start order.
+ * @returns {Promise<object[]>} Shows with start and end as Dates
+ */
+export async function loadLineup() {
+  const today = resolveTargetDate("");
+  const days = await fetchShowsRange(addDays(today, -1), addDays(today, 1));
+  const seen = new Set();
+  return days
+    .flatMap((d) => d.shows)
+    .map((s) => ({ ...s, start: new Date(s.start), end: new Date(s.end) }))
+    .filter((s) => {
+      const key = `${s.start.getTime()}|${s.name}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * What's on at `now`, and what follows.
+ * @param {object[]} lineup - loadLineup() result
+ * @param {Date} [now]
+ * @returns {{ current: object|null, upcoming: object[] }} current is the latest-starting show on air
+ */
+export function onAir(lineup, now = new Date()) {
+  const live = lineup.filter((s) => s.start <= now && now < s.end);
+  return {
+    current: live.at(-1) || null,
+    upcoming: lineup.filter((s) => s.start > now),
+  };
+}
+
+/** Slack reply for "now": the current show, time remaining and what's on after it. */
+export function formatNow({ current, upcoming }, now = new Date()) {
+  const lines = [];
+  if (current) {
+    const left = Math.max(1, Math.ceil((current.end - now) / MINUTE));
+    lines.push(`:red_circle: *On now:* ${current.name} (${current.timeRange}) — ${minutesLabel(left)} left`);
+  } else {
+    lines.push("Nothing is on air right now.");
+  }
+  const next = upcoming[0];
+  if (next) {
+    const until = Math.max(1, Math.round((next.start - now) / MINUTE));
+    lines.push(`*Up next:* ${next.name} at ${clock(next.start)} (in ${minutesLabel(until)})`);
+  } else {
+    lines.push("Nothing else is scheduled before tomorrow night.");
+  }
+  return lines.join("\n");
+}
+
+/** Slack reply for "next": the next few shows with their start times. */
+export function formatNext({ upcoming }, now = new Date(), count = 3) {
+  if (upcoming.length === 0) return "Nothing else is scheduled before tomorrow night.";
+  const lines = ["*Coming up:*"];
+  for (const show of upcoming.slice(0, count)) {
+    const until = Math.max(1, Math.round((show.start - now) / MINUTE));
+    lines.push(`• ${clock(show.start)} — ${show.name} (in ${minutesLabel(until)})`);
+  }
+  return lines.join("\n");
+}
+
+// --- Pre-show reminders ---
+
+function loadSent() {
+  try {
+    return JSON.parse(fs.readFileSync(REMINDERS_FILE, "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+// Reminder keys → show start, dropping shows that started over a day ago
+function saveSent(sent, now) {
+  const cutoff = now.getTime() - 24 * 60 * MINUTE;
+  const kept = Object.fromEntries(Object.entries(sent).filter(([, start]) => new Date(start).getTime() > cutoff));
+  fs.mkdirSync(path.dirname(REMINDERS_FILE), { recursive: true });
+  fs.writeFileSync(REMINDERS_FILE, JSON.stringify(kept, null, 2));
+}
+
+/**
+ * Post "Up next in 15 min" for every live show starting within REMINDER_MINUTES that hasn't had one.
+ * Shows a badge marks as not live (badges.json "live": false, e.g. replays) are skipped.
+ * Sent reminders are recorded, so a restart doesn't repeat them.
+ * @param {import("@slack/web-api").WebClient} client
+ * @param {object[]} lineup - loadLineup() result
+ */
+export async function sendReminders(client, lineup, now = new Date()) {
+  const channel = process.env.REMINDER_CHANNEL;
+  const sent = loadSent();
+  const due = lineup.filter((s) => s.live !== false && s.start > now && s.start - now <= REMINDER_MINUTES * MINUTE);
+  for (const show of due) {
+    const key = `${show.start.toISOString()}|${show.name}`;
+    if (sent[key]) continue;
+    const minutes = Math.max(1, Math.round((show.start - now) / MINUTE));
+    await client.chat.postMessage({
+      channel,
+      text: `:alarm_clock: Up next in ${minutesLabel(minutes)}: *${show.name}* (${clock(show.start)})`,
+    });
+    console.log(`Reminder posted: ${show.name} at ${clock(show.start)}`);
+    sent[key] = show.start.toISOString();
+    saveSent(sent, now);
+  }
+}
+
+/**
+ * Check for upcoming shows every minute and remind REMINDER_CHANNEL before each one.
+ * The lineup is re-read every 5 minutes (the feed itself is cached for ICAL_CACHE_MAX_AGE).
+ * @param {import("@slack/web-api").WebClient} client
+ * @returns {NodeJS.Timeout}
+ */
+export function startReminders(client) {
+  let lineup = null;
+  let loadedAt = 0;
+  const tick = async () => {
+    try {
+      if (!lineup || Date.now() - loadedAt >= 5 * MINUTE) {
+        lineup = await loadLineup();
+        loadedAt = Date.now();
+      }
+      await sendReminders(client, lineup);
+    } catch (e) {
+      console.error("Reminder error:", e.message);
+    }
+  };
+  console.log(`Posting reminders ${REMINDER_MINUTES} min before each show to ${process.env.REMINDER_CHANNEL}`);
+  tick();
+  return setInterval(tick, MINUTE);
+}
+
+// CLI: node onair.js [next] | node onair.js --remind
+// Prints what's on now (or coming up); --remind keeps posting reminders to REMINDER_CHANNEL
+if (process.argv[1] === __filename) {
+  if (process.argv.includes("--remind")) {
+    if (!process.env.REMINDER_CHANNEL) {
+      console.error("REMINDER_CHANNEL is not set");
+      process.exitCode = 1;
+    } else {
+      startReminders(new WebClient(process.env.SLACK_BOT_TOKEN));
+    }
+  } else {
+    loadLineup()
+      .then((lineup) => {
+        const status = onAir(lineup);
+        console.log(process.argv.includes("next") ? formatNext(status) : formatNow(status));
+      })
+      .catch((e) => {
+        console.error(e.message);
+        process.exitCode = 1;
+      });
+  }
+}
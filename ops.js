@@ -0,0 +1,176 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { AsyncLocalStorage } from "async_hooks";
+import { WebClient } from "@slack/web-api";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LOG_DIR = path.join(__dirname, "output", "logs");
+const RETRY_ATTEMPTS = Math.max(1, Number(process.env.RETRY_ATTEMPTS) || 3);
+const RETRY_DELAY_MS = (Number(process.env.RETRY_DELAY_SECONDS) || 2) * 1000;
+
+/**
+ * Exit codes for generate.js, so the scheduler's history and launchd/systemd tell failures apart.
+ * FAILED: a step threw; NO_SHOWS: nothing to post; PUBLISH_FAILED: rendered, but a destination didn't get it.
+ */
+export const EXIT = { OK: 0, FAILED: 1, NO_SHOWS: 2, PUBLISH_FAILED: 3 };
+
+/**
+ * Exit code for an error thrown by a run: err.code "NO_SHOWS" or "PUBLISH_FAILED", anything else FAILED.
+ * @param {Error} [error]
+ */
+export function exitCodeFor(error) {
+  if (!error) return EXIT.OK;
+  return EXIT[error.code] ?? EXIT.FAILED;
+}
+
+// The run the current async call chain belongs to, so runs started side by side in the bot
+// (a Slack regenerate while the scheduler's child runs...) each log under their own id
+const runs = new AsyncLocalStorage();
+
+// Run logs are JSON lines, one file per UTC day
+const logFile = (ts) => path.join(LOG_DIR, `${ts.slice(0, 10)}.jsonl`);
+
+// One JSON object per line: ts, run id, event ("start", "step", "retry", "alert", "finish") and its fields
+function writeLog(entry) {
+  const ts = new Date().toISOString();
+  try {
+    fs.mkdirSync(LOG_DIR, { recursive: true });
+    fs.appendFileSync(logFile(ts), JSON.stringify({ ts, run: runs.getStore()?.id ?? null, ...entry }) + "\n");
+  } catch (e) {
+    console.warn(`WARNING: Could not write the run log: ${e.message}`);
+  }
+}
+
+let runCount = 0;
+
+/**
+ * Run fn as one logged run: a "start" entry, every logStep() and retry made while it runs
+ * (however it's awaited) under its id, then a "finish" entry with the exit code.
+ * An error it throws is tagged with the run id (err.run), for alertOps().
+ * @template T
+ * @param {string} kind - e.g. "generate"
+ * @param {string[]} args
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export function withRun(kind, args, fn) {
+  const run = { id: `${Date.now().toString(36)}-${process.pid}-${++runCount}`, kind, started: Date.now() };
+  return runs.run(run, async () => {
+    writeLog({ event: "start", kind, args, host: os.hostname() });
+    try {
+      const result = await fn();
+      writeLog({ event: "finish", kind, exitCode: EXIT.OK, ms: Date.now() - run.started });
+      return result;
+    } catch (e) {
+      e.run ??= run.id;
+      writeLog({ event: "finish", kind, exitCode: exitCodeFor(e), ms: Date.now() - run.started, step: e.step ?? null, error: e.message });
+      throw e;
+    }
+  });
+}
+
+/**
+ * Log a run step to the console ("A1. PSD read") and to the run log.
+ * @param {string} step - "A1"..."C"
+ * @param {string} message
+ * @param {object} [data] - Extra fields for the log entry
+ * @param {"info"|"warn"|"error"} [level]
+ */
+export function logStep(step, message, data = {}, level = "info") {
+  const print = { info: console.log, warn: console.warn, error: console.error }[level];
+  print(`${step}. ${message}`);
+  writeLog({ event: "step", step, level, message, ...data });
+}
+
+/**
+ * Run a step, tagging anything it throws with the step name (for the ops alert) and logging the failure.
+ * @template T
+ * @param {string} step
+ * @param {() => Promise<T>|T} fn
+ * @returns {Promise<T>}
+ */
+export async function runStep(step, fn) {
+  try {
+    return await fn();
+  } catch (e) {
+    if (!e.step) {
+      e.step = step;
+      writeLog({ event: "step", step, level: "error", message: e.message });
+    }
+    throw e;
+  }
+}
+
+/**
+ * Whether an error looks temporary: a network failure, a timeout, HTTP 429 or a 5xx (`status` on the error).
+ * @param {Error} e
+ */
+export function isTransient(e) {
+  if (e.status) return e.status === 429 || e.status >= 500;
+  const code = e.code || e.cause?.code;
+  return ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "ENOTFOUND", "EPIPE", "UND_ERR_SOCKET", "UND_ERR_CONNECT_TIMEOUT"].includes(code)
+    || e.name === "TimeoutError" || e.name === "AbortError" || e.message === "fetch failed";
+}
+
+/**
+ * Whether an error happened before anything reached the server: the connection was refused or the host didn't resolve.
+ * The only failures a non-idempotent send (an email, a webhook post) can safely be retried after.
+ * @param {Error} e
+ */
+export function isConnectFailure(e) {
+  // nodemailer reports these as code "ESOCKET" or "EDNS" with command "CONN" (the connection phase)
+  return ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"].includes(e.code || e.cause?.code) || e.command === "CONN";
+}
+
+/**
+ * Call fn until it succeeds, up to RETRY_ATTEMPTS times (default 3), waiting RETRY_DELAY_SECONDS
+ * (default 2) and doubling after each failure.
+ * @template T
+ * @param {string} what - Named in the retry log lines, e.g. "Calendar fetch"
+ * @param {(attempt: number) => Promise<T>} fn
+ * @param {{ retryable?: (e: Error) => boolean, attempts?: number }} [opts] - retryable defaults to isTransient
+ * @returns {Promise<T>}
+ */
+export async function withRetry(what, fn, { retryable = isTransient, attempts = RETRY_ATTEMPTS } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (e) {
+      if (attempt >= attempts || !retryable(e)) throw e;
+      const delay = RETRY_DELAY_MS * 2 ** (attempt - 1);
+      console.warn(`  ${what} failed (${e.message}), retrying in ${delay / 1000}s (${attempt}/${attempts - 1})`);
+      writeLog({ event: "retry", what, attempt, delayMs: delay, error: e.message });
+      await new Promise((r) => setTimeout(r, delay));
+    }
+  }
+}
+
+/** Retry settings for Slack WebClients, matching withRetry(). */
+export const SLACK_RETRY_CONFIG = { retries: RETRY_ATTEMPTS - 1, factor: 2, minTimeout: RETRY_DELAY_MS, randomize: true };
+
+/**
+ * Post an alert to OPS_CHANNEL. Does nothing without OPS_CHANNEL and SLACK_BOT_TOKEN, and never throws:
+ * a broken alert mustn't hide the original failure.
+ * @param {"error"|"warning"} level
+ * @param {string} title - e.g. "Scheduled run failed"
+ * @param {{ step?: string, error?: string, details?: string, run?: string }} [info]
+ *   run: id of the run it's about (err.run), when sent after the run has finished
+ */
+export async function alertOps(level, title, { step, error, details, run = runs.getStore()?.id } = {}) {
+  const channel = process.env.OPS_CHANNEL;
+  writeLog({ event: "alert", level, title, step, error, run: run ?? null });
+  if (!channel || !process.env.SLACK_BOT_TOKEN) return;
+
+  const icon = level === "error" ? ":rotating_light:" : ":warning:";
+  const lines = [`${icon} *${title}*${step ? ` at step \`${step}\`` : ""}`];
+  if (error) lines.push("```" + error.slice(0, 2500) + "```");
+  if (details) lines.push(details);
+  lines.push(`_${os.hostname()}${run ? ` · run ${run}` : ""} · log: ${path.relative(__dirname, logFile(new Date().toISOString()))}_`);
+  try {
+    await new WebClient(process.env.SLACK_BOT_TOKEN, { retryConfig: SLACK_RETRY_CONFIG }).chat.postMessage({ channel, text: lines.join("\n") });
+  } catch (e) {
+    console.error(`Could not post the ops alert: ${e.message}`);
+  }
+}
@@ -0,0 +1,273 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { WebClient } from "@slack/web-api";
+import { loadSnapshot, recordPublished } from "./snapshots.js";
+import { formatTimestamp } from "./calendar.js";
+import { archivePublished } from "./archive.js";
+import { publishEverywhere } from "./publishers.js";
+import { logStep, SLACK_RETRY_CONFIG } from "./ops.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PENDING_DIR = path.join(__dirname, "output", "pending");
+
+/**
+ * @typedef {object} Post
+ * @property {string} date - YYYY-MM-DD (week posts use the Monday)
+ * @property {Array<{ file: string, filename: string }>} uploads
+ * @property {string} comment - initial_comment for the image post
+ * @property {object[]} [blocks] - Block Kit lineup posted after the images
+ * @property {object} [calData] - fetchShows() result; when set, a snapshot is recorded on publish
+ * @property {string} [archive] - Archive entry the uploads were rendered into ("2026-02-14", "week-2026-02-09"),
+ *   marked published once any destination has them
+ * @property {boolean} [replace] - delete the previous post for this date after publishing
+ * @property {string[]} [args] - generate.js arguments, reused by "Regenerate"
+ */
+
+// Slack's client retries rate limits and network errors itself, with the same backoff as ops.withRetry()
+function slackClient() {
+  return new WebClient(process.env.SLACK_BOT_TOKEN, { retryConfig: SLACK_RETRY_CONFIG });
+}
+
+// Upload one or more images to a channel as a single post, followed by the optional Block Kit lineup.
+// Returns the ids needed to replace the post later.
+async function postToChannel(channel, uploads, comment, blocks) {
+  const slack = slackClient();
+  const result = await slack.filesUploadV2({
+    channel_id: channel,
+    file_uploads: uploads,
+    initial_comment: comment,
+  });
+  let ts = null;
+  if (blocks) {
+    const message = await slack.chat.postMessage({ channel, text: comment, blocks });
+    ts = message.ts;
+  }
+  const fileIds = (result.files || []).flatMap((f) => (f.files || []).map((file) => file.id));
+  return { channel, fileIds, ts };
+}
+
+// Delete a previously published post (used by --replace after a schedule change)
+async function deleteSlackPost(published) {
+  const slack = slackClient();
+  for (const file of published.fileIds || []) {
+    await slack.files.delete({ file }).catch((e) => console.warn(`  Could not delete file ${file}: ${e.message}`));
+  }
+  if (published.ts) {
+    await slack.chat.delete({ channel: published.channel, ts: published.ts })
+      .catch((e) => console.warn(`  Could not delete lineup message: ${e.message}`));
+  }
+  logStep("C", "Previous post removed");
+}
+
+// Post to SLACK_CHANNEL, snapshot it for the watcher and replace the old post if asked
+async function publishToSlack(post) {
+  const previous = post.replace ? loadSnapshot(post.date) : null;
+  const published = await postToChannel(process.env.SLACK_CHANNEL, post.uploads, post.comment, post.blocks);
+  logStep("C", "Posted to Slack", { channel: published.channel, messageTs: published.ts });
+  if (post.calData) recordPublished(post.calData, published);
+  if (previous?.slack) await deleteSlackPost(previous.slack);
+  return published.ts ? `message ${published.ts}` : "";
+}
+
+/**
+ * Publish a schedule to SLACK_CHANNEL and every destination in publishers.js, all at once.
+ * One destination failing doesn't stop the others; each outcome is logged and returned.
+ * @param {Post} post
+ * @returns {Promise<import("./publishers.js").PublishResult[]>} Empty when nothing is configured
+ */
+export async function publish(post) {
+  const slack = process.env.SLACK_BOT_TOKEN && process.env.SLACK_CHANNEL
+    ? [{ name: "Slack", publish: () => publishToSlack(post) }]
+    : [];
+  const results = await publishEverywhere(post, slack);
+  if (post.archive && results.some((r) => r.ok)) archivePublished(post.archive, post.uploads);
+  return results;
+}
+
+// " Failed: Mastodon (returned 401)." for the review message, or "" when everything went out
+function failureNote(results) {
+  const failed = results.filter((r) => !r.ok);
+  return failed.length ? ` Failed: ${failed.map((r) => `${r.name} (${r.error})`).join(", ")}.` : "";
+}
+
+// --- Review flow: preview in REVIEW_CHANNEL, publish only on approval ---
+
+function pendingPath(id) {
+  return path.join(PENDING_DIR, id, "pending.json");
+}
+
+export function loadPending(id) {
+  try {
+    return JSON.parse(fs.readFileSync(pendingPath(id), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function savePending(pending) {
+  fs.writeFileSync(pendingPath(pending.id), JSON.stringify(pending, null, 2));
+}
+
+// Take exclusive ownership of a pending post so an approval and the auto-approve timer can't both act
+function claimPending(id) {
+  try {
+    fs.writeFileSync(path.join(PENDING_DIR, id, "claimed"), String(process.pid), { flag: "wx" });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function reviewBlocks(pending, decision) {
+  const blocks = [
+    {
+      type: "section",
+      text: { type: "mrkdwn", text: `*Preview:* ${pending.comment}` },
+    },
+  ];
+  if (decision) {
+    blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: decision }] });
+    return blocks;
+  }
+  if (pending.autoApproveAt) {
+    const at = formatTimestamp(pending.autoApproveAt, { hour: "numeric", minute: "2-digit" });
+    blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: `Publishes automatically at ${at} unless cancelled.` }] });
+  }
+  blocks.push({
+    type: "actions",
+    elements: [
+      { type: "button", text: { type: "plain_text", text: "Approve" }, style: "primary", action_id: "review_approve", value: pending.id },
+      { type: "button", text: { type: "plain_text", text: "Regenerate" }, action_id: "review_regenerate", value: pending.id },
+      { type: "button", text: { type: "plain_text", text: "Cancel" }, style: "danger", action_id: "review_cancel", value: pending.id },
+    ],
+  });
+  return blocks;
+}
+
+async function closeReview(pending, status, decision) {
+  pending.status = status;
+  pending.decidedAt = new Date().toISOString();
+  savePending(pending);
+  await slackClient().chat.update({
+    channel: pending.preview.channel,
+    ts: pending.preview.ts,
+    text: `${pending.comment} — ${status}`,
+    blocks: reviewBlocks(pending, decision),
+  });
+}
+
+/**
+ * Post a preview to REVIEW_CHANNEL (a channel or user ID for a DM) with Approve / Regenerate / Cancel buttons.
+ * Images are copied aside so later runs can't overwrite what's being reviewed.
+ * @param {Post} post
+ * @param {{ autoApproveMinutes?: number }} [opts]
+ * @returns {Promise<string>} Pending id
+ */
+export async function requestApproval(post, opts = {}) {
+  const id = `${post.date}-${crypto.randomBytes(4).toString("hex")}`;
+  const dir = path.join(PENDING_DIR, id);
+  fs.mkdirSync(dir, { recursive: true });
+  const uploads = post.uploads.map(({ file, filename }) => {
+    const copy = path.join(dir, path.basename(file));
+    fs.copyFileSync(file, copy);
+    return { file: copy, filename };
+  });
+
+  const pending = {
+    ...post,
+    id,
+    uploads,
+    status: "pending",
+    createdAt: new Date().toISOString(),
+    autoApproveAt: opts.autoApproveMinutes ? new Date(Date.now() + opts.autoApproveMinutes * 60000).toISOString() : null,
+  };
+
+  const channel = process.env.REVIEW_CHANNEL;
+  const slack = slackClient();
+  await slack.filesUploadV2({ channel_id: channel, file_uploads: uploads, initial_comment: `Preview — ${post.comment}` });
+  const message = await slack.chat.postMessage({ channel, text: `Preview: ${post.comment}`, blocks: reviewBlocks(pending) });
+  pending.preview = { channel: message.channel, ts: message.ts };
+  savePending(pending);
+  logStep("C", `Preview posted for review (${id})`, { pending: id });
+  return id;
+}
+
+// Act on a claimed pending post. If that throws before a decision was recorded, mark the post "failed"
+// (with the error in `failed`, for waitForApproval) instead of leaving it claimed but pending forever.
+async function decide(pending, action) {
+  try {
+    return await action();
+  } catch (e) {
+    if (loadPending(pending.id)?.status === "pending") {
+      pending.failed = [{ name: "Review", ok: false, error: e.message }];
+      await closeReview(pending, "failed", `:warning: Failed: ${e.message}`)
+        .catch((err) => console.warn(`  Could not update the review message: ${err.message}`));
+    }
+    throw e;
+  }
+}
+
+/**
+ * Publish a pending preview. Returns false if it was already approved, cancelled or regenerated.
+ * Throws if publishing or closing the review fails; the preview is then marked "failed".
+ * @param {string} id
+ * @param {string} approvedBy - Slack mention or "auto-approve"
+ */
+export async function approvePending(id, approvedBy) {
+  const pending = loadPending(id);
+  if (!pending || pending.status !== "pending" || !claimPending(id)) return false;
+  return decide(pending, async () => {
+    const results = await publish(pending);
+    // Kept on the pending post so the run waiting on it (waitForApproval) can report failures
+    pending.failed = results.filter((r) => !r.ok);
+    await closeReview(pending, "approved", `:white_check_mark: Approved by ${approvedBy} and published.${failureNote(results)}`);
+    return true;
+  });
+}
+
+export async function cancelPending(id, cancelledBy) {
+  const pending = loadPending(id);
+  if (!pending || pending.status !== "pending" || !claimPending(id)) return false;
+  return decide(pending, async () => {
+    await closeReview(pending, "cancelled", `:no_entry_sign: Cancelled by ${cancelledBy}. Nothing was published.`);
+    return true;
+  });
+}
+
+// Retire a preview that's being regenerated; returns it (for its generate.js args) or null
+export async function supersedePending(id, requestedBy) {
+  const pending = loadPending(id);
+  if (!pending || pending.status !== "pending" || !claimPending(id)) return null;
+  return decide(pending, async () => {
+    await closeReview(pending, "superseded", `:arrows_counterclockwise: Regenerate requested by ${requestedBy}.`);
+    return pending;
+  });
+}
+
+/**
+ * Wait for a reviewer; publish automatically if nobody has acted by autoApproveAt.
+ * @param {string} id
+ * @returns {Promise<string>} Final status
+ */
+export async function waitForApproval(id) {
+  const { autoApproveAt } = loadPending(id);
+  while (Date.now() < new Date(autoApproveAt).getTime()) {
+    await new Promise((r) => setTimeout(r, 15000));
+    const current = loadPending(id);
+    if (current?.status !== "pending") return current?.status;
+  }
+  if (await approvePending(id, "auto-approve")) {
+    logStep("C", "No review before the timeout, auto-approved");
+    return "approved";
+  }
+  // A reviewer claimed it just before the timeout; wait (up to 10 minutes) for their publish to finish
+  const deadline = Date.now() + 10 * 60000;
+  let status = loadPending(id)?.status;
+  while (status === "pending" && Date.now() < deadline) {
+    await new Promise((r) => setTimeout(r, 5000));
+    status = loadPending(id)?.status;
+  }
+  return status;
+}
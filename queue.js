@@ -0,0 +1,112 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { scheduleHeader, weekHeader } from "./calendar.js";
+import { loadBadges } from "./badges.js";
+import { resolveTemplate, TEMPLATE_DIR } from "./templates.js";
+
+// Renders run one at a time so a single warm renderer (Skia or Photopea) is never shared mid-job
+const QUEUE_SIZE = Number(process.env.RENDER_QUEUE_SIZE) || 10;
+const CACHE_SIZE = Number(process.env.RENDER_CACHE_SIZE) || 50;
+
+const waiting = [];
+let running = false;
+
+// Finished renders keyed by content hash, oldest first (Map keeps insertion order)
+const results = new Map();
+// Renders queued or in progress, so identical concurrent requests share one job
+const inflight = new Map();
+
+async function drain() {
+  if (running) return;
+  running = true;
+  while (waiting.length > 0) {
+    const { job, resolve, reject } = waiting.shift();
+    try {
+      resolve(await job());
+    } catch (e) {
+      reject(e);
+    }
+  }
+  running = false;
+}
+
+/**
+ * Run a job once every job queued before it has finished.
+ * Rejects with code "QUEUE_FULL" when RENDER_QUEUE_SIZE jobs are already waiting.
+ * @template T
+ * @param {() => Promise<T>} job
+ * @returns {Promise<T>}
+ */
+export function enqueue(job) {
+  if (waiting.length >= QUEUE_SIZE) {
+    const err = new Error(`The renderer is busy (${waiting.length} jobs waiting). Try again in a minute.`);
+    err.code = "QUEUE_FULL";
+    return Promise.reject(err);
+  }
+  return new Promise((resolve, reject) => {
+    waiting.push({ job, resolve, reject });
+    drain();
+  });
+}
+
+// The artwork a day is drawn on: its template from templates.json (or the one given) and when the PSD last changed
+function artwork(day, chosen) {
+  const template = chosen || resolveTemplate(day);
+  return { template, psdModified: fs.statSync(path.join(TEMPLATE_DIR, template.psd)).mtimeMs };
+}
+
+/**
+ * Hash of everything drawn on a graphic, so an unchanged schedule maps to the same key.
+ * Day graphics include their template and PSD, so editing templates.json or replacing a PSD misses the cache.
+ * @param {string} kind - what's being rendered ("day", "week", ...); weeks are drawn without a template
+ * @param {object[]} days - fetchShows() results
+ * @param {object} [opts] - the exact options passed to the render (profile, ranges, template...)
+ * @returns {string}
+ */
+export function renderKey(kind, days, opts = {}) {
+  // The header ("TODAY", "TOMORROW"...) changes with the date the render is asked for, not just the content
+  const content = days.map(({ date, day, month, dayNum, notes, shows }) => ({
+    date, day, month, dayNum, notes, header: scheduleHeader(date).title,
+    shows: shows.map(({ time, timeRange, name, note, badges }) => ({ time, timeRange, name, note, badges })),
+  }));
+  // Badge labels, icons and colours are drawn too, so editing badges.json invalidates cached renders
+  const badges = loadBadges();
+  // Likewise a week's title ("THIS WEEK", "NEXT WEEK" or just the dates)
+  const title = kind === "week" && days.length ? weekHeader(days[0].date, days.at(-1).date).title : null;
+  const artworks = kind === "week" ? null : days.map((day) => artwork(day, opts.template));
+  return crypto.createHash("sha1").update(JSON.stringify({ kind, opts, content, badges, title, artworks })).digest("hex");
+}
+
+/**
+ * Render through the queue unless the result is already cached or being rendered.
+ * @template T
+ * @param {string} key - renderKey() for the content
+ * @param {() => Promise<T>} render
+ * @returns {Promise<{ result: T, cached: boolean }>}
+ */
+export async function cachedRender(key, render) {
+  if (results.has(key)) {
+    const result = results.get(key);
+    results.delete(key);
+    results.set(key, result); // most recently used goes last
+    return { result, cached: true };
+  }
+  if (inflight.has(key)) return { result: await inflight.get(key), cached: true };
+
+  const job = enqueue(render);
+  inflight.set(key, job);
+  try {
+    const result = await job;
+    results.set(key, result);
+    if (results.size > CACHE_SIZE) results.delete(results.keys().next().value);
+    return { result, cached: false };
+  } finally {
+    inflight.delete(key);
+  }
+}
+
+// Jobs ahead of a new request: the one rendering plus those waiting
+export function queueLength() {
+  return waiting.length + (running ? 1 : 0);
+}
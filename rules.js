@@ -0,0 +1,135 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RULES_FILE = process.env.RULES_FILE || path.join(__dirname, "rules.json");
+
+/**
+ * @typedef {object} Rule
+ * @property {"rename"|"hide"|"annotate"} type
+ * @property {string} [match] - Exact show name, or "/regex/flags"
+ * @property {string} [replace] - rename: replacement (regex rules may use $1)
+ * @property {string} [note] - annotate: note shown with the show, or for the whole day when match is omitted
+ * @property {string} [date] - Only apply on this YYYY-MM-DD
+ */
+
+// "/pattern/flags" → RegExp, anything else → null (exact match)
+function toRegex(match) {
+  const m = /^\/(.+)\/([a-z]*)$/.exec(match);
+  return m ? new RegExp(m[1], m[2]) : null;
+}
+
+/**
+ * Match text against a rule pattern: exact, or "/regex/flags".
+ * @param {string} match
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function matchText(match, text) {
+  const regex = toRegex(match);
+  return regex ? regex.test(text) : match === text;
+}
+
+function matches(rule, name) {
+  return rule.match ? matchText(rule.match, name) : false;
+}
+
+/** @returns {Rule[]} */
+export function loadRules() {
+  try {
+    return JSON.parse(fs.readFileSync(RULES_FILE, "utf8")).rules || [];
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`WARNING: Could not read ${path.basename(RULES_FILE)}: ${e.message}`);
+    return [];
+  }
+}
+
+export function saveRules(rules) {
+  fs.writeFileSync(RULES_FILE, JSON.stringify({ rules }, null, 2) + "\n");
+}
+
+/**
+ * Apply rename, hide and annotate rules to one day's shows, in file order.
+ * @param {object[]} shows - collectShows() output
+ * @param {string} date - YYYY-MM-DD
+ * @param {Rule[]} [rules]
+ * @param {{ hidden: object[] }} [log] - collects { name, start, match } for each show a hide rule removes (for audits)
+ * @returns {{ shows: object[], notes: string[] }} Remaining shows, plus day-level notes
+ */
+export function applyRules(shows, date, rules = loadRules(), log = null) {
+  const active = rules.filter((r) => !r.date || r.date === date);
+  const notes = active.filter((r) => r.type === "annotate" && !r.match).map((r) => r.note);
+
+  const out = [];
+  for (const show of shows) {
+    let { name } = show;
+    let note = show.note || "";
+    let hidden = false;
+    for (const rule of active) {
+      if (!matches(rule, name)) continue;
+      if (rule.type === "hide") {
+        hidden = true;
+        log?.hidden.push({ name: show.name, start: show.start, match: rule.match });
+        break;
+      }
+      if (rule.type === "rename") {
+        const regex = toRegex(rule.match);
+        name = regex ? name.replace(regex, rule.replace) : rule.replace;
+      } else if (rule.type === "annotate") {
+        note = rule.note;
+      }
+    }
+    if (hidden || !name.trim()) continue;
+    out.push(note ? { ...show, name: name.trim(), note } : { ...show, name: name.trim() });
+  }
+  return { shows: out, notes };
+}
+
+// One-line description for the bot's rule list
+export function describeRule(rule) {
+  const on = rule.date ? ` on ${rule.date}` : "";
+  switch (rule.type) {
+    case "hide": return `hide \`${rule.match}\`${on}`;
+    case "rename": return `rename \`${rule.match}\` → "${rule.replace}"${on}`;
+    case "annotate": return rule.match ? `annotate \`${rule.match}\` with "${rule.note}"${on}` : `note "${rule.note}"${on}`;
+    default: return JSON.stringify(rule);
+  }
+}
+
+/**
+ * Parse a bot "rule add ..." argument string into a Rule.
+ *   hide <match>
+ *   rename <match> => <replacement>
+ *   annotate <match> => <note>
+ *   note <YYYY-MM-DD> <text>
+ * Append "on YYYY-MM-DD" to hide/rename/annotate to limit them to one date.
+ * @returns {Rule}
+ */
+export function parseRule(text) {
+  let rest = text.trim();
+  let date;
+  const on = /\s+on\s+(\d{4}-\d{2}-\d{2})$/i.exec(rest);
+  if (on) {
+    date = on[1];
+    rest = rest.slice(0, on.index);
+  }
+
+  const [, type, args = ""] = /^(\w+)\s*(.*)$/s.exec(rest) || [];
+  const unquote = (s) => s.trim().replace(/^"(.*)"$/, "$1");
+  const [match, value] = args.split("=>").map(unquote);
+
+  let rule;
+  if (type === "hide" && match) {
+    rule = { type, match };
+  } else if ((type === "rename" || type === "annotate") && match && value !== undefined) {
+    rule = type === "rename" ? { type, match, replace: value } : { type, match, note: value };
+  } else if (type === "note") {
+    const m = /^(\d{4}-\d{2}-\d{2})\s+(.+)$/.exec(args.trim());
+    if (m) rule = { type: "annotate", note: unquote(m[2]), date: m[1] };
+  }
+  if (!rule) throw new Error(`Could not parse rule: ${text}`);
+  if (rule.match) toRegex(rule.match); // throws on an invalid regex
+  if (date) rule.date = date;
+  return rule;
+}
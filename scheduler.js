@@ -0,0 +1,483 @@
+import "dotenv/config";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import { parseArgs } from "util";
+import { fileURLToPath } from "url";
+import { formatTimestamp } from "./calendar.js";
+import { alertOps } from "./ops.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const JOBS_FILE = process.env.JOBS_FILE || path.join(__dirname, "jobs.json");
+const HISTORY_FILE = path.join(__dirname, "output", "scheduler-history.json");
+const HISTORY_SIZE = 500;
+// Cron expressions are read in the schedule's local time, not the server's
+const SCHEDULE_TZ = process.env.SCHEDULE_TZ || process.env.DISPLAY_TZ || "America/New_York";
+// Missed runs older than this are dropped instead of caught up (e.g. after a long outage)
+const CATCHUP_HOURS = Number(process.env.SCHEDULER_CATCHUP_HOURS ?? 6);
+const JOB_TIMEOUT_MINUTES = Number(process.env.SCHEDULER_JOB_TIMEOUT_MINUTES) || 60;
+
+const MINUTE = 60 * 1000;
+
+/**
+ * @typedef {object} Job
+ * @property {string} name
+ * @property {string} cron - "m h dom mon dow", or @daily / @weekly / @monthly / @hourly
+ * @property {string} [script] - Script to run, relative to the repo (default generate.js)
+ * @property {string[]} [args] - Script arguments
+ * @property {string} [tz] - Zone for the cron expression (default SCHEDULE_TZ)
+ * @property {boolean} [catchUp] - Run once on start-up if the last slot was missed (default true)
+ * @property {boolean} [enabled] - Set false to keep a job in the file without running it
+ */
+
+// Without a jobs.json, behave like the old launchd install: post the day's schedule at 9 AM
+const DEFAULT_JOBS = [{ name: "daily", cron: "0 9 * * *", args: ["--scheduled"] }];
+
+/** @returns {Job[]} */
+export function loadJobs() {
+  let jobs;
+  try {
+    jobs = JSON.parse(fs.readFileSync(JOBS_FILE, "utf8")).jobs;
+  } catch (e) {
+    if (e.code !== "ENOENT") throw new Error(`Could not read ${path.basename(JOBS_FILE)}: ${e.message}`);
+    jobs = DEFAULT_JOBS;
+  }
+  const names = new Set();
+  for (const job of jobs) {
+    if (!job.name || !job.cron) throw new Error(`Job needs a name and a cron expression: ${JSON.stringify(job)}`);
+    if (names.has(job.name)) throw new Error(`Duplicate job name: ${job.name}`);
+    names.add(job.name);
+    job.schedule = parseCron(job.cron); // throws on a bad expression
+  }
+  return jobs.filter((job) => job.enabled !== false);
+}
+
+// --- Cron expressions ---
+
+const MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] },
+  { name: "day of week", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] },
+];
+
+// One cron field ("*/15", "1-5", "mon,wed,fri", "9") → Set of allowed values
+function parseField(text, field) {
+  const value = (s) => {
+    const idx = field.names?.indexOf(s.toLowerCase()) ?? -1;
+    const n = idx === -1 ? Number(s) : idx + field.min;
+    if (!Number.isInteger(n) || n < field.min || n > field.max) {
+      throw new Error(`Invalid ${field.name} "${s}" (${field.min}–${field.max})`);
+    }
+    return n;
+  };
+
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in ${field.name} "${part}"`);
+    let from, to;
+    if (range === "*") [from, to] = [field.min, field.max];
+    else if (range.includes("-")) [from, to] = range.split("-").map(value);
+    else [from, to] = [value(range), stepText === undefined ? value(range) : field.max];
+    if (from > to) throw new Error(`Invalid range in ${field.name} "${part}"`);
+    for (let n = from; n <= to; n += step) values.add(n);
+  }
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month day-of-week).
+ * Supports *, lists, ranges, steps, month and weekday names, and the @daily-style macros.
+ * As in cron, when both day fields are restricted a day matching either one runs.
+ * @param {string} expr
+ */
+export function parseCron(expr) {
+  const text = MACROS[expr.trim().toLowerCase()] || expr.trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron expression needs 5 fields: "${expr}"`);
+  try {
+    const [minute, hour, dom, month, dow] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    if (dow.delete(7)) dow.add(0); // 7 is Sunday too
+    return { minute, hour, dom, month, dow, anyDom: parts[2].startsWith("*"), anyDow: parts[4].startsWith("*") };
+  } catch (e) {
+    throw new Error(`${e.message} in cron expression "${expr}"`);
+  }
+}
+
+const formatters = new Map();
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Wall-clock fields of an instant in a zone
+function zoneFields(date, tz) {
+  if (!formatters.has(tz)) {
+    formatters.set(tz, new Intl.DateTimeFormat("en-US", {
+      timeZone: tz,
+      weekday: "short",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      hourCycle: "h23",
+    }));
+  }
+  const parts = formatters.get(tz).formatToParts(date);
+  const get = (type) => parts.find((p) => p.type === type).value;
+  return {
+    year: Number(get("year")),
+    month: Number(get("month")),
+    day: Number(get("day")),
+    weekday: WEEKDAYS.indexOf(get("weekday")),
+    hour: Number(get("hour")),
+    minute: Number(get("minute")),
+  };
+}
+
+function dayMatches(schedule, f) {
+  const dom = schedule.dom.has(f.day);
+  const dow = schedule.dow.has(f.weekday);
+  if (schedule.anyDom || schedule.anyDow) return dom && dow;
+  return dom || dow;
+}
+
+function matches(schedule, f) {
+  return schedule.minute.has(f.minute) && schedule.hour.has(f.hour) && schedule.month.has(f.month) && dayMatches(schedule, f);
+}
+
+// Wall-clock key for a slot, so the repeated hour when clocks go back doesn't run a job twice
+function slotKey(f) {
+  return `${f.year}-${f.month}-${f.day} ${f.hour}:${f.minute}`;
+}
+
+const floorMinute = (date) => new Date(Math.floor(date.getTime() / MINUTE) * MINUTE);
+
+/**
+ * First slot strictly after `after`.
+ * @returns {Date|null} null if nothing matches within a year (e.g. Feb 30)
+ */
+export function nextRun(schedule, after = new Date(), tz = SCHEDULE_TZ) {
+  let t = floorMinute(after).getTime() + MINUTE;
+  const limit = t + 366 * 24 * 60 * MINUTE;
+  while (t < limit) {
+    const f = zoneFields(new Date(t), tz);
+    if (!schedule.month.has(f.month) || !dayMatches(schedule, f) || !schedule.hour.has(f.hour)) {
+      t += (60 - f.minute) * MINUTE; // jump to the next local hour
+    } else if (schedule.minute.has(f.minute)) {
+      return new Date(t);
+    } else {
+      t += MINUTE;
+    }
+  }
+  return null;
+}
+
+/**
+ * Latest slot in (from, to], or null.
+ * @returns {{ at: Date, key: string }|null}
+ */
+function latestRun(schedule, from, to, tz) {
+  for (let t = floorMinute(to).getTime(); t > from.getTime(); t -= MINUTE) {
+    const f = zoneFields(new Date(t), tz);
+    if (matches(schedule, f)) return { at: new Date(t), key: slotKey(f) };
+  }
+  return null;
+}
+
+// --- Run history ---
+
+/**
+ * @typedef {object} RunRecord
+ * @property {string} job
+ * @property {string} scheduledFor - ISO time of the slot (or of the manual request)
+ * @property {string} startedAt
+ * @property {string} finishedAt
+ * @property {"ok"|"failed"|"timeout"} status
+ * @property {number|null} exitCode
+ * @property {boolean} catchUp - run late, for a slot missed while the daemon was down
+ * @property {boolean} manual - started with "node scheduler.js run"
+ * @property {string} [error] - last lines of stderr on failure
+ */
+
+/** @returns {RunRecord[]} Oldest first */
+export function loadHistory() {
+  try {
+    return JSON.parse(fs.readFileSync(HISTORY_FILE, "utf8"));
+  } catch {
+    return [];
+  }
+}
+
+function appendHistory(record) {
+  const history = [...loadHistory(), record].slice(-HISTORY_SIZE);
+  fs.mkdirSync(path.dirname(HISTORY_FILE), { recursive: true });
+  fs.writeFileSync(HISTORY_FILE, JSON.stringify(history, null, 2));
+}
+
+function lastRunOf(name, history = loadHistory()) {
+  return history.filter((r) => r.job === name && !r.manual).at(-1) || null;
+}
+
+// --- Running jobs ---
+
+/**
+ * Run a job's script in its own process, prefixing its output with the job name, and record the result.
+ * @param {Job} job
+ * @param {{ scheduledFor?: Date, catchUp?: boolean, manual?: boolean }} [opts]
+ * @returns {Promise<RunRecord>}
+ */
+export function runJob(job, opts = {}) {
+  const script = path.resolve(__dirname, job.script || "generate.js");
+  const args = job.args || [];
+  const startedAt = new Date();
+  console.log(`[${job.name}] Starting ${path.basename(script)} ${args.join(" ")}${opts.catchUp ? " (catch-up)" : ""}`);
+
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [script, ...args], { cwd: __dirname, stdio: ["ignore", "pipe", "pipe"] });
+    let stderr = "";
+    let timedOut = false;
+    const forward = (stream, write) => {
+      let partial = "";
+      stream.on("data", (chunk) => {
+        const lines = (partial + chunk).split("\n");
+        partial = lines.pop();
+        for (const line of lines) write(`[${job.name}] ${line}`);
+      });
+      stream.on("end", () => partial && write(`[${job.name}] ${partial}`));
+    };
+    forward(child.stdout, console.log);
+    forward(child.stderr, console.error);
+    child.stderr.on("data", (chunk) => { stderr = (stderr + chunk).slice(-2000); });
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill("SIGTERM");
+    }, JOB_TIMEOUT_MINUTES * MINUTE);
+
+    const finish = (exitCode, error) => {
+      clearTimeout(timer);
+      const status = timedOut ? "timeout" : exitCode === 0 ? "ok" : "failed";
+      const record = {
+        job: job.name,
+        scheduledFor: (opts.scheduledFor || startedAt).toISOString(),
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        status,
+        exitCode,
+        catchUp: Boolean(opts.catchUp),
+        manual: Boolean(opts.manual),
+      };
+      if (status !== "ok") {
+        record.error = error || (timedOut ? `Killed after ${JOB_TIMEOUT_MINUTES} min` : stderr.trim().split("\n").slice(-3).join("\n"));
+      }
+      appendHistory(record);
+      const seconds = Math.round((Date.now() - startedAt) / 1000);
+      const outcome = { ok: "Finished", timeout: "Timed out", failed: `Failed (exit ${exitCode ?? "error"})` }[status];
+      console.log(`[${job.name}] ${outcome} in ${seconds}s`);
+      // A killed or unstartable job can't alert OPS_CHANNEL itself
+      const alerted = exitCode === null
+        ? alertOps("error", `Scheduled job "${job.name}" ${timedOut ? "timed out" : "could not start"}`, { error: record.error })
+        : Promise.resolve();
+      alerted.then(() => resolve(record));
+    };
+    child.on("error", (e) => finish(null, e.message));
+    child.on("exit", (code) => finish(code));
+  });
+}
+
+/**
+ * Run jobs on their cron schedules, one at a time, until stopped.
+ * On start-up, a job that has run before is run once if its latest slot within SCHEDULER_CATCHUP_HOURS
+ * has no recorded run; the same check each minute, bounded the same way, catches up slots missed while
+ * the machine slept.
+ * @param {Job[]} [jobs]
+ * @returns {{ stop: () => void }}
+ */
+export function startScheduler(jobs = loadJobs()) {
+  const history = loadHistory();
+  const catchUpFrom = new Date(Date.now() - CATCHUP_HOURS * 60 * MINUTE);
+  const state = new Map(jobs.map((job) => {
+    const last = lastRunOf(job.name, history);
+    const lastSlot = last ? new Date(last.scheduledFor) : null;
+    // Look back for missed slots only if the job has run before and catch-up is on
+    const since = job.catchUp === false || !lastSlot ? new Date() : lastSlot > catchUpFrom ? lastSlot : catchUpFrom;
+    return [job.name, { since, lastKey: null, queued: false }];
+  }));
+
+  let chain = Promise.resolve();
+  const queue = (job, slot, catchUp) => {
+    const s = state.get(job.name);
+    if (s.queued) return; // still running from an earlier slot
+    s.queued = true;
+    chain = chain
+      .then(() => runJob(job, { scheduledFor: slot.at, catchUp }))
+      .finally(() => { s.queued = false; });
+  };
+
+  const tick = () => {
+    const now = new Date();
+    for (const job of jobs) {
+      const s = state.get(job.name);
+      const tz = job.tz || SCHEDULE_TZ;
+      // Never look further back than catch-up allows, so waking from a long sleep doesn't post a days-old slot
+      // (jobs with catchUp off only get the last couple of minutes, to cover a late tick)
+      const limit = now - (job.catchUp === false ? 2 * MINUTE : CATCHUP_HOURS * 60 * MINUTE);
+      const since = new Date(Math.max(s.since.getTime(), limit));
+      const slot = latestRun(job.schedule, since, now, tz);
+      s.since = now;
+      if (!slot || slot.key === s.lastKey) continue;
+      s.lastKey = slot.key;
+      // Anything older than the current minute was missed (start-up, or the machine slept)
+      queue(job, slot, now - slot.at >= MINUTE);
+    }
+  };
+
+  console.log(`Scheduler started: ${jobs.length} job(s)`);
+  for (const job of jobs) {
+    const next = nextRun(job.schedule, new Date(), job.tz || SCHEDULE_TZ);
+    console.log(`  ${job.name} (${job.cron}) — next run ${next ? formatTimestamp(next) : "never"}`);
+  }
+
+  tick();
+  let timer;
+  const schedule = () => {
+    timer = setTimeout(() => {
+      tick();
+      schedule();
+    }, MINUTE - (Date.now() % MINUTE) + 1000);
+  };
+  schedule();
+  return { stop: () => clearTimeout(timer) };
+}
+
+// --- systemd ---
+
+/**
+ * systemd unit files for the scheduler daemon and the Slack bot.
+ * @param {{ user?: string }} [opts] - run as this user (system units only)
+ * @returns {Record<string, string>} File name → contents
+ */
+export function systemdUnits(opts = {}) {
+  const unit = (description, script, logName) => [
+    "[Unit]",
+    `Description=${description}`,
+    // User managers can't order against system targets
+    ...(opts.user ? ["After=network-online.target", "Wants=network-online.target"] : []),
+    "",
+    "[Service]",
+    "Type=simple",
+    ...(opts.user ? [`User=${opts.user}`] : []),
+    `WorkingDirectory=${__dirname}`,
+    `ExecStart=${process.execPath} ${path.join(__dirname, script)}`,
+    "Restart=on-failure",
+    "RestartSec=30",
+    `StandardOutput=append:${path.join(__dirname, "output", logName)}`,
+    `StandardError=append:${path.join(__dirname, "output", logName)}`,
+    "",
+    "[Install]",
+    `WantedBy=${opts.user ? "multi-user.target" : "default.target"}`,
+    "",
+  ].join("\n");
+
+  return {
+    "lotradio-scheduler.service": unit("Lot Radio schedule jobs", "scheduler.js", "cron.log"),
+    "lotradio-bot.service": unit("Lot Radio Slack bot", "bot.js", "bot.log"),
+  };
+}
+
+function writeSystemdUnits(opts) {
+  const dir = opts.system ? "/etc/systemd/system" : path.join(os.homedir(), ".config", "systemd", "user");
+  const units = systemdUnits({ user: opts.system ? os.userInfo().username : undefined });
+  if (opts.stdout) {
+    for (const [name, text] of Object.entries(units)) console.log(`# ${name}\n${text}`);
+    return;
+  }
+  fs.mkdirSync(dir, { recursive: true });
+  fs.mkdirSync(path.join(__dirname, "output"), { recursive: true });
+  for (const [name, text] of Object.entries(units)) {
+    fs.writeFileSync(path.join(dir, name), text);
+    console.log(`Wrote ${path.join(dir, name)}`);
+  }
+  const ctl = opts.system ? "sudo systemctl" : "systemctl --user";
+  console.log(`\nEnable with:\n  ${ctl} daemon-reload\n  ${ctl} enable --now ${Object.keys(units).join(" ")}`);
+  if (!opts.system) console.log("  loginctl enable-linger $USER   # keep running after logout");
+}
+
+// --- CLI ---
+
+function printJobs(jobs) {
+  const history = loadHistory();
+  for (const job of jobs) {
+    const tz = job.tz || SCHEDULE_TZ;
+    const next = nextRun(job.schedule, new Date(), tz);
+    const last = history.filter((r) => r.job === job.name).at(-1);
+    console.log(`${job.name}: ${job.cron} (${tz}) → ${job.script || "generate.js"} ${(job.args || []).join(" ")}`);
+    console.log(`  next: ${next ? formatTimestamp(next) : "never"}`);
+    console.log(`  last: ${last ? `${formatTimestamp(last.startedAt)} — ${last.status}` : "never"}`);
+  }
+}
+
+function printHistory(name, limit) {
+  const runs = loadHistory().filter((r) => !name || r.job === name).slice(-limit);
+  if (runs.length === 0) console.log("No runs recorded.");
+  for (const r of runs) {
+    const seconds = Math.round((new Date(r.finishedAt) - new Date(r.startedAt)) / 1000);
+    const flags = [r.catchUp && "catch-up", r.manual && "manual"].filter(Boolean).join(", ");
+    console.log(`${formatTimestamp(r.startedAt)}  ${r.job}  ${r.status}  ${seconds}s${flags ? `  (${flags})` : ""}`);
+    if (r.error) console.log(`    ${r.error.replace(/\n/g, "\n    ")}`);
+  }
+}
+
+// CLI: node scheduler.js                 run the daemon
+//      node scheduler.js list            jobs with next and last run
+//      node scheduler.js history [job] [--limit=20]
+//      node scheduler.js run <job>       run a job now (recorded as manual)
+//      node scheduler.js systemd [--system] [--stdout]
+//        writes user units to ~/.config/systemd/user (or /etc/systemd/system with --system)
+async function main() {
+  const { values: opts, positionals } = parseArgs({
+    options: {
+      limit: { type: "string", default: "20" },
+      system: { type: "boolean" },
+      stdout: { type: "boolean" },
+    },
+    allowPositionals: true,
+  });
+  const [command, name] = positionals;
+
+  if (command === "systemd") return writeSystemdUnits(opts);
+  if (command === "history") return printHistory(name, Number(opts.limit) || 20);
+
+  const jobs = loadJobs();
+  if (!command) return startScheduler(jobs);
+  if (command === "list") return printJobs(jobs);
+  if (command === "run") {
+    const job = jobs.find((j) => j.name === name);
+    if (!job) throw new Error(`No job named "${name}". Jobs: ${jobs.map((j) => j.name).join(", ")}`);
+    const record = await runJob(job, { manual: true });
+    if (record.status !== "ok") process.exitCode = 1;
+    return;
+  }
+  throw new Error(`Unknown command "${command}". Use list, history, run <job> or systemd.`);
+}
+
+if (process.argv[1] === __filename) {
+  main().catch((e) => {
+    console.error(e.message);
+    process.exitCode = 2;
+  });
+}
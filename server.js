@@ -0,0 +1,142 @@
+import "dotenv/config";
+import http from "http";
+import { fileURLToPath } from "url";
+import { fetchShows, fetchShowsRange, resolveTargetDate, weekStart, addDays } from "./calendar.js";
+import { renderDay, renderWeek, imageName, PROFILE_NAMES } from "./generate.js";
+import { toJSON } from "./exporters.js";
+import { cachedRender, renderKey } from "./queue.js";
+import { archiveSchedule, archiveWeek } from "./archive.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const PORT = Number(process.env.HTTP_PORT) || 8080;
+const HOST = process.env.HTTP_HOST || "127.0.0.1";
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// "today", "tomorrow", a day name or YYYY-MM-DD → YYYY-MM-DD
+function parseDate(arg) {
+  const lower = arg.toLowerCase();
+  if (lower === "today") return resolveTargetDate("");
+  if (lower === "tomorrow") return addDays(resolveTargetDate(""), 1);
+  try {
+    return resolveTargetDate(/^\d/.test(arg) ? arg : lower.charAt(0).toUpperCase() + lower.slice(1));
+  } catch (e) {
+    throw new HttpError(400, e.message);
+  }
+}
+
+function renderOptions(query) {
+  const profile = query.get("profile") || "story";
+  if (!PROFILE_NAMES.includes(profile)) throw new HttpError(400, `Unknown profile: ${profile}. Use ${PROFILE_NAMES.join(", ")}.`);
+  const ranges = query.has("ranges") ? query.get("ranges") !== "false" : process.env.SHOW_END_TIMES === "true";
+  return { profile, ranges, renderer: process.env.RENDERER };
+}
+
+function send(req, res, status, type, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": type, "Cache-Control": "public, max-age=60", ...headers });
+  res.end(req.method === "HEAD" ? undefined : body);
+}
+
+// PNG with an ETag so signage screens polling the same image get a 304
+function sendPng(req, res, png, etag, headers) {
+  if (req.headers["if-none-match"] === etag) {
+    res.writeHead(304, { ETag: etag });
+    res.end();
+    return;
+  }
+  send(req, res, 200, "image/png", png, { ETag: etag, ...headers });
+}
+
+function staleHeaders(stale) {
+  return stale ? { "X-Schedule-Stale": stale } : {};
+}
+
+// Keep a fresh render in the archive; a failure there mustn't fail the request
+function archiveRender(store) {
+  try {
+    store();
+  } catch (e) {
+    console.warn(`WARNING: Could not archive the render: ${e.message}`);
+  }
+}
+
+// GET /schedule/:date[.png|.json] — date is today, tomorrow, a day name or YYYY-MM-DD
+async function handleDay(req, res, dateArg, ext, query) {
+  const opts = ext === ".json" ? null : renderOptions(query);
+  const calData = await fetchShows(parseDate(dateArg));
+  if (ext === ".json") {
+    send(req, res, 200, "application/json", toJSON(calData), staleHeaders(calData.stale));
+    return;
+  }
+  if (calData.shows.length === 0) throw new HttpError(404, `No shows found for ${calData.date}`);
+
+  const key = renderKey("day", [calData], opts);
+  const { result: pngs, cached } = await cachedRender(key, () => renderDay(calData, opts));
+  if (!cached) {
+    archiveRender(() => archiveSchedule(calData, pngs.map((data, p) => ({ data, filename: imageName(calData, opts.profile, p, pngs.length).filename }))));
+  }
+  const page = Number(query.get("page") || 1);
+  if (!Number.isInteger(page) || page < 1 || page > pngs.length) {
+    throw new HttpError(404, `Page ${query.get("page")} doesn't exist (${pngs.length} page${pngs.length === 1 ? "" : "s"})`);
+  }
+  console.log(`  ${calData.date} ${opts.profile}: ${cached ? "cached" : "rendered"} ${key.slice(0, 8)}`);
+  sendPng(req, res, pngs[page - 1], `"${key}-${page}"`, { "X-Page-Count": String(pngs.length), ...staleHeaders(calData.stale) });
+}
+
+// GET /week[/next|/:date][.png|.json] — Monday–Sunday containing date (default: this week)
+async function handleWeek(req, res, weekArg, ext, query) {
+  let start = weekStart(weekArg && weekArg !== "next" ? parseDate(weekArg) : resolveTargetDate(""));
+  if (weekArg === "next") start = addDays(start, 7);
+  const days = await fetchShowsRange(start, addDays(start, 6));
+  if (ext === ".json") {
+    send(req, res, 200, "application/json", JSON.stringify(days.map(({ stale, ...day }) => day), null, 2) + "\n", staleHeaders(days[0].stale));
+    return;
+  }
+
+  const { ranges } = renderOptions(query);
+  const key = renderKey("week", days, { ranges });
+  const { result: pngs, cached } = await cachedRender(key, async () => [renderWeek(days, ranges)]);
+  if (!cached) archiveRender(() => archiveWeek(days, { data: pngs[0], filename: `Week_${days[0].month}_${days[0].dayNum}.png` }));
+  console.log(`  week of ${start}: ${cached ? "cached" : "rendered"} ${key.slice(0, 8)}`);
+  sendPng(req, res, pngs[0], `"${key}"`, staleHeaders(days[0].stale));
+}
+
+async function route(req, res) {
+  if (req.method !== "GET" && req.method !== "HEAD") throw new HttpError(405, "Method not allowed");
+  const url = new URL(req.url, "http://localhost");
+
+  const day = /^\/schedule\/([^/]+?)(\.png|\.json)?$/.exec(url.pathname);
+  if (day) return handleDay(req, res, decodeURIComponent(day[1]), day[2], url.searchParams);
+
+  const week = /^\/week(?:\/([^/]+?))?(\.png|\.json)?$/.exec(url.pathname);
+  if (week) return handleWeek(req, res, week[1] && decodeURIComponent(week[1]), week[2], url.searchParams);
+
+  throw new HttpError(404, "Not found. Try /schedule/today.png, /schedule/YYYY-MM-DD.json or /week.png");
+}
+
+/**
+ * Start the schedule HTTP API on HTTP_HOST:HTTP_PORT.
+ * @returns {http.Server}
+ */
+export function startServer() {
+  const server = http.createServer(async (req, res) => {
+    console.log(`${req.method} ${req.url}`);
+    try {
+      await route(req, res);
+    } catch (e) {
+      const status = e.status || (e.code === "QUEUE_FULL" ? 503 : 500);
+      if (status === 500) console.error(e);
+      send(req, res, status, "application/json", JSON.stringify({ error: e.message }) + "\n", { "Cache-Control": "no-store" });
+    }
+  });
+  server.listen(PORT, HOST, () => console.log(`Schedule API listening on http://${HOST}:${PORT}`));
+  return server;
+}
+
+// CLI: node server.js
+if (process.argv[1] === __filename) startServer();
@@ -0,0 +1,53 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SNAPSHOT_DIR = path.join(__dirname, "output", "snapshots");
+
+function snapshotPath(date) {
+  return path.join(SNAPSHOT_DIR, `${date}.json`);
+}
+
+/**
+ * Load what was last published for a date.
+ * @param {string} date - YYYY-MM-DD
+ * @returns {{ date: string, publishedAt: string, shows: Array<{ time: string, name: string, start: string, end: string }>, slack: { channel: string, fileIds: string[], ts: string|null }|null, lastAlert?: string }|null}
+ */
+export function loadSnapshot(date) {
+  try {
+    return JSON.parse(fs.readFileSync(snapshotPath(date), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+export function saveSnapshot(snapshot) {
+  fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+  fs.writeFileSync(snapshotPath(snapshot.date), JSON.stringify(snapshot, null, 2));
+}
+
+// Record a published schedule, with the Slack ids needed to replace it later
+export function recordPublished(calData, slack) {
+  saveSnapshot({
+    date: calData.date,
+    publishedAt: new Date().toISOString(),
+    shows: calData.shows.map(({ time, name, start, end }) => ({ time, name, start, end })),
+    slack,
+  });
+}
+
+// Dates (YYYY-MM-DD) with a snapshot on or after `from`
+export function snapshotDates(from) {
+  let files;
+  try {
+    files = fs.readdirSync(SNAPSHOT_DIR);
+  } catch {
+    return [];
+  }
+  return files
+    .filter((f) => /^\d{4}-\d{2}-\d{2}\.json$/.test(f))
+    .map((f) => f.slice(0, 10))
+    .filter((d) => d >= from)
+    .sort();
+}
@@ -0,0 +1,262 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { matchText } from "./rules.js";
+import { parseDatePhrase, resolveTargetDate, getDateInfo, formatTimeRange, addDays, zoneTime } from "./calendar.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const TEMPLATES_FILE = process.env.TEMPLATES_FILE || path.join(__dirname, "templates.json");
+export const TEMPLATE_DIR = path.join(__dirname, "templates");
+const PREVIEW_DIR = path.join(__dirname, "output", "previews");
+
+const DAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// Anything a template (or the "defaults" block) doesn't set
+const DEFAULTS = {
+  layers: { text: "SCHEDULE TEXT", logo: "TLR LOGO" },
+  colors: { text: "white" },
+  layout: {},
+};
+
+// Without a templates.json: one PSD per weekday, named after the day
+const WEEKDAY_TEMPLATES = DAYS.map((day) => ({ name: day.toLowerCase(), psd: `${day.toLowerCase()}.psd`, weekdays: [day] }));
+
+/**
+ * @typedef {object} Template
+ * @property {string} name
+ * @property {string} psd - File in templates/
+ * @property {string[]} [dates] - YYYY-MM-DD dates this template is for
+ * @property {string} [from] - First day of a date range (YYYY-MM-DD); either end may be omitted
+ * @property {string} [to] - Last day of a date range, inclusive
+ * @property {string} [event] - Show name or day note that selects this template: exact, or "/regex/flags"
+ * @property {string[]} [weekdays] - "Monday"..."Sunday"
+ * @property {{ text?: string, logo?: string }} [layers] - Names of the schedule text layer and logo group
+ * @property {{ text?: string, time?: string }} [colors] - CSS colours for show names and times
+ * @property {object} [layout] - LAYOUT overrides for every profile
+ * @property {Object<string, object>} [profiles] - LAYOUT overrides for one profile, e.g. { "square": { ... } }
+ */
+
+/**
+ * Read templates.json (or TEMPLATES_FILE). Falls back to one template per weekday when there isn't one.
+ * A file that exists but can't be read is an error — rendering the wrong artwork is worse than failing.
+ * @returns {{ defaults: { layers: object, colors: object, layout: object }, templates: Template[] }}
+ */
+export function loadTemplates() {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(TEMPLATES_FILE, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return { defaults: DEFAULTS, templates: WEEKDAY_TEMPLATES };
+    throw new Error(`Could not read ${path.basename(TEMPLATES_FILE)}: ${e.message}`);
+  }
+  const defaults = config.defaults || {};
+  return {
+    defaults: {
+      layers: { ...DEFAULTS.layers, ...defaults.layers },
+      colors: { ...DEFAULTS.colors, ...defaults.colors },
+      layout: { ...DEFAULTS.layout, ...defaults.layout },
+    },
+    templates: config.templates || [],
+  };
+}
+
+// How specific a template's match is (1 = specific dates ... 5 = catch-all), or null when it doesn't apply.
+// Every condition a template sets must hold.
+function specificity(template, { date, day, shows, notes = [] }) {
+  const checks = [];
+  if (template.dates) checks.push([1, template.dates.includes(date)]);
+  if (template.from || template.to) {
+    checks.push([2, (!template.from || date >= template.from) && (!template.to || date <= template.to)]);
+  }
+  if (template.event) {
+    const texts = [...shows.map((s) => s.name), ...notes];
+    checks.push([3, texts.some((text) => matchText(template.event, text))]);
+  }
+  if (template.weekdays) {
+    checks.push([4, template.weekdays.some((d) => d.toLowerCase() === day.toLowerCase())]);
+  }
+  if (checks.some(([, ok]) => !ok)) return null;
+  return Math.min(5, ...checks.map(([rank]) => rank));
+}
+
+/**
+ * Pick the template for a day: specific dates beat date ranges, which beat events, which beat weekdays.
+ * Ties go to whichever comes first in the file.
+ * @param {object} calData - fetchShows() result
+ * @param {ReturnType<typeof loadTemplates>} [registry]
+ * @returns {Template & { layers: object, colors: object, layout: object, profiles: object }} With defaults filled in
+ */
+export function resolveTemplate(calData, registry = loadTemplates()) {
+  let best = null;
+  let bestRank = Infinity;
+  for (const template of registry.templates) {
+    const rank = specificity(template, calData);
+    if (rank !== null && rank < bestRank) {
+      best = template;
+      bestRank = rank;
+    }
+  }
+  if (!best) throw new Error(`No template for ${calData.day} ${calData.date}. Add one to ${path.basename(TEMPLATES_FILE)}.`);
+  return withDefaults(best, registry);
+}
+
+/**
+ * Fill in a template's layers, colours and layout from the registry defaults.
+ * @param {Template} template
+ * @param {ReturnType<typeof loadTemplates>} [registry]
+ */
+export function withDefaults(template, registry = loadTemplates()) {
+  const { defaults } = registry;
+  return {
+    ...template,
+    layers: { ...defaults.layers, ...template.layers },
+    colors: { ...defaults.colors, ...template.colors },
+    layout: { ...defaults.layout, ...template.layout },
+    profiles: template.profiles || {},
+  };
+}
+
+// --- templates check: layer checks and preview renders for designers ---
+
+const TYPICAL_SHOWS = [
+  "Morning Coffee with DJ Someone",
+  "Dub Selections",
+  "The Afternoon Show by Selector",
+  "Jazz Hour: Live from the Booth",
+  "Evening Mix",
+  "Late Night Session",
+];
+
+// Worst case: a packed day of long names, an unbreakable word and notes everywhere
+const LONG_SHOWS = Array.from({ length: 16 }, (_, i) => i === 7
+  ? "Supercalifragilisticexpialidocious-Soundsystem-Takeover-Marathon"
+  : `Extraordinarily Long Show Name Number ${i + 1} with Very Special Guest Selectors (Live)`);
+
+const FIXTURES = [
+  { name: "typical", shows: TYPICAL_SHOWS, startHour: 10, hours: 2, notes: [] },
+  { name: "worst-case", shows: LONG_SHOWS, startHour: 7, hours: 1, notes: ["Fundraiser week — every pledge keeps us on air"], ranges: true, note: "special broadcast" },
+];
+
+// A date the template would be picked for, so the header reads like the real thing
+function sampleDate(template) {
+  if (template.dates?.length) return template.dates[0];
+  if (template.from) return template.from;
+  if (template.to) return template.to;
+  if (template.weekdays?.length) return parseDatePhrase(template.weekdays[0]) || resolveTargetDate("");
+  return resolveTargetDate("");
+}
+
+// Fake fetchShows() result for a fixture
+function fixtureDay(template, fixture) {
+  const date = sampleDate(template);
+  const shows = fixture.shows.map((name, i) => {
+    const hour = fixture.startHour + i * fixture.hours;
+    // Fixture hours are DISPLAY_TZ wall-clock times, so a 10:00 show prints as 10 AM wherever the check runs
+    const start = zoneTime(addDays(date, Math.floor(hour / 24)), hour % 24);
+    const end = new Date(start.getTime() + fixture.hours * 3600000);
+    return {
+      time: formatTimeRange(start),
+      timeRange: formatTimeRange(start, end),
+      name,
+      start,
+      end,
+      duration: fixture.hours * 60,
+      description: "",
+      location: "",
+      ...(fixture.note && i % 4 === 1 && { note: fixture.note }),
+    };
+  });
+  return { date, ...getDateInfo(date), shows, notes: fixture.notes, stale: null };
+}
+
+const boundsText = (b) => (b ? `${b.left},${b.top} → ${b.right},${b.bottom} (${b.right - b.left}x${b.bottom - b.top})` : "—");
+
+/**
+ * Check every template (or the named ones): the PSD loads, the text layer and logo group exist,
+ * and each fixture lineup renders in every profile. Previews go to output/previews/.
+ * @param {string[]} [names]
+ * @param {{ renderer?: string, preview?: boolean }} [opts]
+ * @returns {Promise<number>} Number of failures
+ */
+export async function checkTemplates(names = [], opts = {}) {
+  // Loaded here so templates.js can be imported by generate.js without a cycle at startup
+  const { inspectTemplate, renderSchedule, PROFILE_NAMES, closeRenderer } = await import("./generate.js");
+  const registry = loadTemplates();
+  const report = [];
+  let failures = 0;
+
+  const unknown = names.filter((n) => !registry.templates.some((t) => t.name === n));
+  for (const name of unknown) {
+    report.push(`✖ ${name}: no template with that name`);
+    failures++;
+  }
+  const selected = names.length ? registry.templates.filter((t) => names.includes(t.name)) : registry.templates;
+  if (opts.preview !== false) fs.mkdirSync(PREVIEW_DIR, { recursive: true });
+
+  for (const entry of selected) {
+    const template = withDefaults(entry, registry);
+    report.push("", `${template.name} (${template.psd})`);
+
+    let info;
+    try {
+      info = inspectTemplate(template);
+    } catch (e) {
+      report.push(`  ✖ Could not read the PSD: ${e.message}`);
+      failures++;
+      continue;
+    }
+    report.push(`  Document: ${info.width}x${info.height}`);
+    report.push(`  Text layer "${template.layers.text}": ${boundsText(info.text)}`);
+    report.push(`  Logo group "${template.layers.logo}": ${boundsText(info.logo)}`);
+    for (const problem of info.problems) report.push(`  ✖ ${problem}`);
+    failures += info.problems.length;
+    if (info.problems.length > 0 || opts.preview === false) continue;
+
+    for (const fixture of FIXTURES) {
+      try {
+        const calData = fixtureDay(template, fixture);
+        const images = await renderSchedule(calData, { template, profiles: PROFILE_NAMES, renderer: opts.renderer, ranges: fixture.ranges });
+        for (const { png, suffix } of images) {
+          fs.writeFileSync(path.join(PREVIEW_DIR, `${template.name}_${fixture.name}${suffix}.png`), png);
+        }
+        const pages = PROFILE_NAMES.map((p) => {
+          const count = images.filter((img) => img.profile === p).length;
+          return `${p} ${count} page${count === 1 ? "" : "s"}`;
+        });
+        report.push(`  ✔ Preview "${fixture.name}": ${pages.join(", ")}`);
+      } catch (e) {
+        report.push(`  ✖ Preview "${fixture.name}" failed: ${e.message}`);
+        failures++;
+      }
+    }
+  }
+  await closeRenderer();
+
+  console.log(report.join("\n"));
+  console.log(`\n${failures === 0 ? "All templates OK" : `${failures} problem${failures === 1 ? "" : "s"} found`}` +
+    (opts.preview === false ? "" : ` — previews in ${path.relative(process.cwd(), PREVIEW_DIR) || "."}`));
+  return failures;
+}
+
+// CLI: node templates.js check [name ...] [--renderer=skia|photopea] [--layers-only]
+// Exits 1 if any template is missing layers or fails to render.
+if (process.argv[1] === __filename) {
+  const { values: opts, positionals } = parseArgs({
+    options: { renderer: { type: "string" }, "layers-only": { type: "boolean" } },
+    allowPositionals: true,
+  });
+  const [command, ...names] = positionals;
+  if (command !== "check") {
+    console.error("Usage: node templates.js check [name ...] [--renderer=skia|photopea] [--layers-only]");
+    process.exitCode = 2;
+  } else {
+    checkTemplates(names, { renderer: opts.renderer, preview: !opts["layers-only"] })
+      .then((failures) => { process.exitCode = failures > 0 ? 1 : 0; })
+      .catch((e) => {
+        console.error(e.message);
+        process.exitCode = 1;
+      });
+  }
+}
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseDatePhrase, resolveTargetDate, addDays, formatTimeRange, zoneTime } from "../calendar.js";
+
+// Expected times assume the package.json test env: DISPLAY_TZ=America/New_York, 12-hour clock, no SECOND_TZ
+const at = (date, hour) => zoneTime(date, hour);
+const weekday = (date) => new Date(date + "T12:00:00Z").getUTCDay();
+
+test("parseDatePhrase: relative words", () => {
+  const today = resolveTargetDate("");
+  assert.equal(parseDatePhrase("today"), today);
+  assert.equal(parseDatePhrase("Tomorrow"), addDays(today, 1));
+  assert.equal(parseDatePhrase("yesterday"), addDays(today, -1));
+  assert.equal(parseDatePhrase("in 3 days"), addDays(today, 3));
+  assert.equal(parseDatePhrase("in a week"), addDays(today, 7));
+  assert.equal(parseDatePhrase("in 2 weeks"), addDays(today, 14));
+});
+
+test("parseDatePhrase: day names and abbreviations", () => {
+  const today = resolveTargetDate("");
+  for (const phrase of ["friday", "fri", "Fri.", "next friday"]) {
+    const date = parseDatePhrase(phrase);
+    assert.equal(weekday(date), 5, phrase);
+    assert.ok(date > today && date <= addDays(today, 7), phrase);
+  }
+  const thisFriday = parseDatePhrase("this friday");
+  assert.ok(thisFriday >= today && thisFriday < addDays(today, 7));
+  const lastFriday = parseDatePhrase("last friday");
+  assert.ok(lastFriday < today && lastFriday >= addDays(today, -7));
+  for (const phrase of ["tue", "tues", "tuesday", "thu", "thur", "thurs", "thursday"]) {
+    assert.notEqual(parseDatePhrase(phrase), null, phrase);
+  }
+});
+
+test("parseDatePhrase: month and day, with and without a year", () => {
+  assert.equal(parseDatePhrase("Feb 14 2027"), "2027-02-14");
+  assert.equal(parseDatePhrase("14th of February 2027"), "2027-02-14");
+  assert.equal(parseDatePhrase("sept 3, 2026"), "2026-09-03");
+  assert.equal(parseDatePhrase("2026-02-14"), "2026-02-14");
+  assert.equal(parseDatePhrase("02-14-2026"), "2026-02-14");
+  assert.match(parseDatePhrase("dec 25"), /^\d{4}-12-25$/);
+});
+
+test("parseDatePhrase: rejects dates that don't exist and words that aren't dates", () => {
+  for (const phrase of ["2026-02-30", "feb 30 2026", "13-01-2026", "marathon 2", "junk 5", "monster 3", "frida", "next week", ""]) {
+    assert.equal(parseDatePhrase(phrase), null, phrase);
+  }
+  assert.throws(() => resolveTargetDate("2026-02-30"), /Invalid date/);
+});
+
+test("formatTimeRange: one suffix within a half-day", () => {
+  assert.equal(formatTimeRange(at("2026-01-08", 10)), "10:00 AM/ET");
+  assert.equal(formatTimeRange(at("2026-01-08", 10), at("2026-01-08", 11)), "10:00–11:00 AM/ET");
+  assert.equal(formatTimeRange(at("2026-01-08", 13), at("2026-01-08", 15)), "1:00–3:00 PM/ET");
+});
+
+test("formatTimeRange: both suffixes across noon, midnight or a 12-hour span", () => {
+  assert.equal(formatTimeRange(at("2026-01-08", 10), at("2026-01-08", 12)), "10:00 AM–12:00 PM/ET");
+  assert.equal(formatTimeRange(at("2026-01-08", 22), at("2026-01-09", 0)), "10:00 PM–12:00 AM/ET");
+  assert.equal(formatTimeRange(at("2026-01-08", 10), at("2026-01-08", 22)), "10:00 AM–10:00 PM/ET");
+  assert.equal(formatTimeRange(at("2026-01-08", 10), at("2026-01-09", 9)), "10:00 AM–9:00 AM/ET");
+});
+
+test("formatTimeRange: an end at or before the start prints the start only", () => {
+  assert.equal(formatTimeRange(at("2026-01-08", 10), at("2026-01-08", 10)), "10:00 AM/ET");
+  assert.equal(formatTimeRange(at("2026-01-08", 10), at("2026-01-08", 9)), "10:00 AM/ET");
+});
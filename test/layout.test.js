@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { layoutText } from "../layout.js";
+
+const WORD = "Supercalifragilisticexpialidocious";
+
+test("a line that fits keeps the requested size", () => {
+  const { lines, overflow } = layoutText("Evening Mix", { fontSize: 20, maxWidth: 1000 });
+  assert.equal(lines.length, 1);
+  assert.deepEqual(
+    { text: lines[0].text, fontSize: lines[0].fontSize, shrunk: lines[0].shrunk, hyphenated: lines[0].hyphenated },
+    { text: "Evening Mix", fontSize: 20, shrunk: false, hyphenated: false },
+  );
+  assert.equal(overflow, false);
+});
+
+test("wraps at the preferred break before the last space", () => {
+  const full = layoutText("Morning Coffee with DJ Someone", { fontSize: 20, maxWidth: 1000 }).width;
+  const { lines } = layoutText("Morning Coffee with DJ Someone", { fontSize: 20, maxWidth: full * 0.7 });
+  assert.deepEqual(lines.map((l) => l.text), ["Morning Coffee", "with DJ Someone"]);
+});
+
+test("a long word is shrunk before it is split", () => {
+  const full = layoutText(WORD, { fontSize: 20, maxWidth: 10000 }).width;
+  const { lines } = layoutText(WORD, { fontSize: 20, minFontSize: 12, maxWidth: full * 0.9 });
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].text, WORD);
+  assert.equal(lines[0].shrunk, true);
+  assert.ok(lines[0].fontSize < 20 && lines[0].fontSize >= 12);
+  assert.ok(lines[0].width <= full * 0.9);
+  assert.match(lines[0].font, new RegExp(`^${lines[0].fontSize}px `));
+});
+
+test("below the shrink floor a long word is hyphenated at full size", () => {
+  const full = layoutText(WORD, { fontSize: 20, maxWidth: 10000 }).width;
+  const maxWidth = full * 0.4;
+  const { lines, overflow } = layoutText(WORD, { fontSize: 20, minFontSize: 18, maxWidth });
+  assert.ok(lines.length >= 3);
+  for (const line of lines.slice(0, -1)) {
+    assert.ok(line.text.endsWith("-"));
+    assert.equal(line.hyphenated, true);
+  }
+  assert.equal(lines.at(-1).hyphenated, false);
+  assert.equal(lines.map((l) => l.text.replace(/-$/, "")).join(""), WORD);
+  assert.ok(lines.every((l) => l.fontSize === 20 && l.width <= maxWidth));
+  assert.equal(overflow, false);
+});
+
+test("ellipsis cuts the word and keeps what follows it", () => {
+  const full = layoutText(WORD, { fontSize: 20, maxWidth: 10000 }).width;
+  const maxWidth = full * 0.5;
+  const { lines } = layoutText(`${WORD} Soundsystem`, { fontSize: 20, maxWidth, overflow: "ellipsis" });
+  assert.deepEqual(lines.map((l) => l.truncated), [true, false]);
+  assert.ok(lines[0].text.endsWith("…"));
+  assert.ok(WORD.startsWith(lines[0].text.slice(0, -1)));
+  assert.equal(lines[1].text, "Soundsystem");
+  assert.ok(lines.every((l) => l.width <= maxWidth));
+});
+
+test("overflow: \"overflow\" leaves the word whole and flags it", () => {
+  const full = layoutText(WORD, { fontSize: 20, maxWidth: 10000 }).width;
+  const { lines, overflow } = layoutText(WORD, { fontSize: 20, maxWidth: full / 2, overflow: "overflow" });
+  assert.deepEqual(lines.map((l) => [l.text, l.overflow]), [[WORD, true]]);
+  assert.equal(overflow, true);
+});
+
+test("line boxes stack by lineHeight and the block measures its lines", () => {
+  const full = layoutText(WORD, { fontSize: 20, maxWidth: 10000 }).width;
+  const layout = layoutText(`Jazz Hour: Live from the Booth ${WORD}`, { fontSize: 20, lineHeight: 26, maxWidth: full * 0.6 });
+  assert.ok(layout.lines.length > 1);
+  layout.lines.forEach((line, i) => {
+    assert.equal(line.x, 0);
+    assert.equal(line.y, i * 26);
+    assert.equal(line.height, 26);
+    assert.ok(line.width > 0 && line.ascent > 0);
+  });
+  assert.equal(layout.height, layout.lines.length * 26);
+  assert.equal(layout.width, Math.max(...layout.lines.map((l) => l.width)));
+});
+
+test("wrap: false keeps one line", () => {
+  const full = layoutText("Late Night Session", { fontSize: 20, maxWidth: 10000 }).width;
+  const { lines } = layoutText("Late Night Session", { fontSize: 20, maxWidth: full * 0.6, overflow: "ellipsis", wrap: false });
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].truncated, true);
+});
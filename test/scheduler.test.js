@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCron, nextRun } from "../scheduler.js";
+
+const TZ = "America/New_York";
+const values = (set) => [...set].sort((a, b) => a - b);
+
+test("parseCron: lists, ranges, steps and names", () => {
+  const s = parseCron("*/15 9-17/4 1,15 jan-mar mon-fri");
+  assert.deepEqual(values(s.minute), [0, 15, 30, 45]);
+  assert.deepEqual(values(s.hour), [9, 13, 17]);
+  assert.deepEqual(values(s.dom), [1, 15]);
+  assert.deepEqual(values(s.month), [1, 2, 3]);
+  assert.deepEqual(values(s.dow), [1, 2, 3, 4, 5]);
+  assert.equal(s.anyDom, false);
+  assert.equal(s.anyDow, false);
+});
+
+test("parseCron: macros, and 7 as Sunday", () => {
+  assert.deepEqual(parseCron("@daily"), parseCron("0 0 * * *"));
+  assert.deepEqual(values(parseCron("@weekly").dow), [0]);
+  assert.deepEqual(values(parseCron("0 9 * * 5-7").dow), [0, 5, 6]);
+});
+
+test("parseCron: rejects bad expressions", () => {
+  assert.throws(() => parseCron("0 9 * *"), /needs 5 fields/);
+  assert.throws(() => parseCron("60 9 * * *"), /Invalid minute "60"/);
+  assert.throws(() => parseCron("0 9 * * funday"), /Invalid day of week/);
+  assert.throws(() => parseCron("0 17-9 * * *"), /Invalid range in hour/);
+  assert.throws(() => parseCron("*/0 * * * *"), /Invalid step in minute/);
+});
+
+test("nextRun: strictly after, in the schedule's zone", () => {
+  const daily = parseCron("0 9 * * *");
+  assert.equal(nextRun(daily, new Date("2026-01-08T13:59:00Z"), TZ).toISOString(), "2026-01-08T14:00:00.000Z");
+  assert.equal(nextRun(daily, new Date("2026-01-08T14:00:00Z"), TZ).toISOString(), "2026-01-09T14:00:00.000Z");
+  assert.equal(nextRun(daily, new Date("2026-01-08T13:59:00Z"), "Europe/London").toISOString(), "2026-01-09T09:00:00.000Z");
+});
+
+test("nextRun: a slot skipped when clocks go forward moves to the next day", () => {
+  const s = parseCron("30 2 * * *");
+  assert.equal(nextRun(s, new Date("2026-03-08T05:00:00Z"), TZ).toISOString(), "2026-03-09T06:30:00.000Z");
+});
+
+test("nextRun: either restricted day field matches", () => {
+  const s = parseCron("0 0 13 * fri");
+  assert.equal(nextRun(s, new Date("2026-01-08T05:00:00Z"), TZ).toISOString(), "2026-01-09T05:00:00.000Z");
+  assert.equal(nextRun(s, new Date("2026-01-09T06:00:00Z"), TZ).toISOString(), "2026-01-13T05:00:00.000Z");
+});
+
+test("nextRun: null when nothing matches within a year", () => {
+  assert.equal(nextRun(parseCron("0 0 30 2 *"), new Date("2026-01-08T05:00:00Z"), TZ), null);
+});
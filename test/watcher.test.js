@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffSchedules } from "../watcher.js";
+
+const show = (name, hour) => ({ name, start: `2026-01-08T${String(hour).padStart(2, "0")}:00:00.000Z` });
+
+test("diffSchedules: no changes", () => {
+  const lineup = [show("Morning Show", 15), show("Evening Mix", 23)];
+  assert.deepEqual(diffSchedules(lineup, [...lineup]), { added: [], removed: [], renamed: [], moved: [] });
+});
+
+test("diffSchedules: added, removed, renamed and moved", () => {
+  const before = [show("Morning Show", 15), show("Dub Selections", 17), show("Evening Mix", 23), show("Late Night", 3)];
+  const after = [show("Morning Show", 15), show("Dub Selections", 19), show("Jazz Hour", 23), show("Afternoon Show", 21)];
+  const diff = diffSchedules(before, after);
+  assert.deepEqual(diff.moved, [{ from: show("Dub Selections", 17), to: show("Dub Selections", 19) }]);
+  assert.deepEqual(diff.renamed, [{ from: show("Evening Mix", 23), to: show("Jazz Hour", 23) }]);
+  assert.deepEqual(diff.added, [show("Afternoon Show", 21)]);
+  assert.deepEqual(diff.removed, [show("Late Night", 3)]);
+});
+
+test("diffSchedules: compares starts as instants, whether Dates or ISO strings", () => {
+  const published = [show("Morning Show", 15)];
+  const current = [{ name: "Morning Show", start: new Date("2026-01-08T15:00:00Z") }];
+  assert.deepEqual(diffSchedules(published, current), { added: [], removed: [], renamed: [], moved: [] });
+});
+
+test("diffSchedules: a name moved onto another show's slot is a move, not a rename", () => {
+  const before = [show("Morning Show", 15), show("Evening Mix", 23)];
+  const after = [show("Evening Mix", 15)];
+  const diff = diffSchedules(before, after);
+  assert.deepEqual(diff.moved, [{ from: show("Evening Mix", 23), to: show("Evening Mix", 15) }]);
+  assert.deepEqual(diff.renamed, []);
+  assert.deepEqual(diff.removed, [show("Morning Show", 15)]);
+});
@@ -1,10 +1,19 @@
 #!/bin/bash
 
 PLIST_DIR="$HOME/Library/LaunchAgents"
+UNIT_DIR="$HOME/.config/systemd/user"
 
 echo "=== Uninstalling Lot Radio Schedule ==="
 
-launchctl unload "$PLIST_DIR/com.lotradio.schedule.plist" 2>/dev/null && echo "  Cron unloaded" || echo "  Cron not loaded"
+if [ "$(uname)" != "Darwin" ]; then
+  systemctl --user disable --now lotradio-scheduler.service lotradio-bot.service 2>/dev/null && echo "  Services stopped" || echo "  Services not running"
+  rm -f "$UNIT_DIR/lotradio-scheduler.service" "$UNIT_DIR/lotradio-bot.service"
+  systemctl --user daemon-reload 2>/dev/null || true
+  echo "Done. Unit files removed from $UNIT_DIR."
+  exit 0
+fi
+
+launchctl unload "$PLIST_DIR/com.lotradio.schedule.plist" 2>/dev/null && echo "  Scheduler unloaded" || echo "  Scheduler not loaded"
 launchctl unload "$PLIST_DIR/com.lotradio.bot.plist" 2>/dev/null && echo "  Bot unloaded" || echo "  Bot not loaded"
 
 rm -f "$PLIST_DIR/com.lotradio.schedule.plist"
@@ -0,0 +1,150 @@
+import "dotenv/config";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { WebClient } from "@slack/web-api";
+import { fetchShows, resolveTargetDate, formatTimestamp } from "./calendar.js";
+import { loadSnapshot, saveSnapshot, snapshotDates } from "./snapshots.js";
+
+const __filename = fileURLToPath(import.meta.url);
+
+/**
+ * Compare a published lineup with the current calendar.
+ * Same name at a new time = moved; same start with a new name = renamed.
+ * @returns {{ added: object[], removed: object[], renamed: Array<{ from: object, to: object }>, moved: Array<{ from: object, to: object }> }}
+ */
+export function diffSchedules(before, after) {
+  const startOf = (s) => new Date(s.start).getTime();
+  const oldShows = [...before];
+  const newShows = [...after];
+
+  // Drop shows that didn't change
+  for (let i = oldShows.length - 1; i >= 0; i--) {
+    const j = newShows.findIndex((s) => s.name === oldShows[i].name && startOf(s) === startOf(oldShows[i]));
+    if (j !== -1) {
+      oldShows.splice(i, 1);
+      newShows.splice(j, 1);
+    }
+  }
+
+  const moved = [];
+  for (let i = oldShows.length - 1; i >= 0; i--) {
+    const j = newShows.findIndex((s) => s.name === oldShows[i].name);
+    if (j !== -1) {
+      moved.unshift({ from: oldShows[i], to: newShows[j] });
+      oldShows.splice(i, 1);
+      newShows.splice(j, 1);
+    }
+  }
+
+  const renamed = [];
+  for (let i = oldShows.length - 1; i >= 0; i--) {
+    const j = newShows.findIndex((s) => startOf(s) === startOf(oldShows[i]));
+    if (j !== -1) {
+      renamed.unshift({ from: oldShows[i], to: newShows[j] });
+      oldShows.splice(i, 1);
+      newShows.splice(j, 1);
+    }
+  }
+
+  return { added: newShows, removed: oldShows, renamed, moved };
+}
+
+function hasChanges(diff) {
+  return diff.added.length + diff.removed.length + diff.renamed.length + diff.moved.length > 0;
+}
+
+function diffLines(diff) {
+  const lines = [];
+  for (const s of diff.added) lines.push(`:heavy_plus_sign: *Added* ${s.time} — ${s.name}`);
+  for (const s of diff.removed) lines.push(`:heavy_minus_sign: *Removed* ${s.time} — ${s.name}`);
+  for (const { from, to } of diff.renamed) lines.push(`:pencil2: *Renamed* ${to.time} — ${from.name} → ${to.name}`);
+  for (const { from, to } of diff.moved) lines.push(`:clock3: *Moved* ${to.name} — ${from.time} → ${to.time}`);
+  return lines;
+}
+
+// Slack message for a schedule change, with a button the bot handles to regenerate the image
+export function changeAlertBlocks(calData, snapshot, diff) {
+  const published = formatTimestamp(snapshot.publishedAt);
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `:rotating_light: *Schedule updated* for ${calData.day} ${calData.month} ${calData.dayNum} since it was posted (${published}):\n` +
+          diffLines(diff).join("\n"),
+      },
+    },
+    {
+      type: "actions",
+      elements: [
+        {
+          type: "button",
+          text: { type: "plain_text", text: "Regenerate & replace image" },
+          style: "primary",
+          action_id: "schedule_regenerate",
+          value: calData.date,
+        },
+      ],
+    },
+  ];
+}
+
+/**
+ * Check every upcoming published date against the calendar and alert Slack about changes.
+ * Each distinct change is alerted once; regenerating the image writes a fresh snapshot.
+ * @param {import("@slack/web-api").WebClient} client
+ */
+export async function checkForChanges(client) {
+  const channel = process.env.WATCH_CHANNEL || process.env.SLACK_CHANNEL;
+  const today = resolveTargetDate("");
+
+  for (const date of snapshotDates(today)) {
+    const snapshot = loadSnapshot(date);
+    if (!snapshot) continue;
+
+    const calData = await fetchShows(date);
+    if (calData.stale) continue; // don't alert on a cached copy
+    const diff = diffSchedules(snapshot.shows, calData.shows);
+    if (!hasChanges(diff)) continue;
+
+    const fingerprint = crypto.createHash("sha1")
+      .update(JSON.stringify(calData.shows.map((s) => [s.name, new Date(s.start).getTime()])))
+      .digest("hex");
+    if (snapshot.lastAlert === fingerprint) continue;
+
+    console.log(`Schedule changed for ${date}: ${diffLines(diff).length} change(s)`);
+    await client.chat.postMessage({
+      channel,
+      text: `Schedule updated for ${calData.day} ${calData.month} ${calData.dayNum}`,
+      blocks: changeAlertBlocks(calData, snapshot, diff),
+    });
+    saveSnapshot({ ...snapshot, lastAlert: fingerprint });
+  }
+}
+
+/**
+ * Poll for schedule changes every WATCH_INTERVAL_MINUTES (default 15).
+ * @param {import("@slack/web-api").WebClient} client
+ * @returns {NodeJS.Timeout}
+ */
+export function startWatcher(client) {
+  const minutes = Number(process.env.WATCH_INTERVAL_MINUTES) || 15;
+  const run = () => checkForChanges(client).catch((e) => console.error("Watcher error:", e.message));
+  console.log(`Watching for schedule changes every ${minutes} min`);
+  run();
+  return setInterval(run, minutes * 60 * 1000);
+}
+
+// CLI: node watcher.js [--loop]
+// One check by default (for cron); --loop keeps polling
+if (process.argv[1] === __filename) {
+  const client = new WebClient(process.env.SLACK_BOT_TOKEN);
+  if (process.argv.includes("--loop")) {
+    startWatcher(client);
+  } else {
+    checkForChanges(client).catch((e) => {
+      console.error(e);
+      process.exit(1);
+    });
+  }
+}